@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFArray, PDFDict, PDFDocument, PDFName, PDFRef, PDFString } = require('pdf-lib');
+const { makePdf, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+// Document and page scripts, an attachment, a field format script and links of every kind. The Launch action
+// is also held by a custom catalog entry, so it has to survive as an object once its link lets go of it.
+function makeActivePdf() {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Hello) Tj ET', async (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        pdfDoc.addJavaScript('greeting', 'app.alert("hi")');
+        await pdfDoc.attach(Buffer.from('payload'), 'notes.txt', { mimeType: 'text/plain' });
+        pdfDoc.catalog.set(PDFName.of('OpenAction'), context.obj({ S: 'JavaScript', JS: PDFString.of('app.alert("open")') }));
+
+        const launch = context.register(context.obj({ S: 'Launch', F: PDFString.of('calc.exe') }));
+        pdfDoc.catalog.set(PDFName.of('KeepLaunch'), launch);
+        const link = (name, action) => context.register(context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 10, 10], NM: PDFString.of(name), A: action }));
+        page.node.set(PDFName.of('Annots'), context.obj([
+            link('uri', context.obj({ S: 'URI', URI: PDFString.of('https://example.com') })),
+            link('goto', context.obj({ S: 'GoTo', D: [page.ref, 'Fit'] })),
+            link('launch', launch),
+            context.register(context.obj({
+                Type: 'Annot', Subtype: 'Widget', FT: 'Tx', T: PDFString.of('amount'), Rect: [0, 20, 10, 30], NM: PDFString.of('field'),
+                AA: { F: { S: 'JavaScript', JS: PDFString.of('AFNumber_Format(2)') } }
+            }))
+        ]));
+    });
+}
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makeActivePdf()).toString('base64');
+});
+
+after(() => server.close());
+
+async function redact(redactionOptions) {
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [{ pageIndex: 0, x: 0, y: 700, width: 5, height: 5, units: 'pt' }], redactionOptions });
+    assert.equal(response.status, 200);
+    return { report: response.json.activeContent, pdfDoc: await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64')) };
+}
+
+function annotationActions(pdfDoc) {
+    return Object.fromEntries(pdfDoc.getPage(0).node.lookup(PDFName.of('Annots'), PDFArray).asArray().map(ref => {
+        const annotation = pdfDoc.context.lookup(ref);
+        const action = annotation.lookup(PDFName.of('A'));
+        return [annotation.lookup(PDFName.of('NM')).decodeText(), action instanceof PDFDict ? action.lookup(PDFName.of('S')).asString() : annotation.has(PDFName.of('AA')) ? 'AA' : null];
+    }));
+}
+
+// Every reference in the document points at an object that is still there
+function findDanglingReferences(pdfDoc) {
+    const dangling = [];
+    const visit = object => {
+        if (object instanceof PDFRef) {
+            if (!pdfDoc.context.lookup(object)) dangling.push(object.toString());
+        } else if (object instanceof PDFArray) {
+            object.asArray().forEach(visit);
+        } else if (object instanceof PDFDict) {
+            object.values().forEach(visit);
+        } else if (object && object.dict instanceof PDFDict) {
+            visit(object.dict);
+        }
+    };
+    visit(pdfDoc.catalog);
+    for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) visit(object);
+    return dangling;
+}
+
+test('active content is kept by default', async () => {
+    const { report, pdfDoc } = await redact(undefined);
+    assert.deepEqual(report, { policy: 'keep', defaultApplied: true, removed: [], removedCount: 0 });
+    assert.ok(pdfDoc.catalog.has(PDFName.of('OpenAction')));
+    assert.deepEqual(annotationActions(pdfDoc), { uri: '/URI', goto: '/GoTo', launch: '/Launch', field: 'AA' });
+});
+
+test('removal takes out scripts, attachments and active actions, and keeps links', async () => {
+    const { report, pdfDoc } = await redact({ activeContent: 'remove' });
+    assert.equal(report.policy, 'remove');
+    assert.deepEqual(report.removed.map(item => item.type).sort(), ['action', 'additionalActions', 'associatedFiles', 'embeddedFile', 'javascript', 'openAction']);
+    assert.equal(report.removed.find(item => item.type === 'action').action, 'Launch');
+
+    assert.ok(!pdfDoc.catalog.has(PDFName.of('OpenAction')));
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of('Names'), PDFDict).has(PDFName.of('JavaScript')), false);
+    assert.deepEqual(annotationActions(pdfDoc), { uri: '/URI', goto: '/GoTo', launch: null, field: null });
+    assert.doesNotMatch(Buffer.from(await pdfDoc.save()).toString('latin1'), /payload|app\.alert/);
+});
+
+test('objects still referenced elsewhere are not deleted', async () => {
+    const { pdfDoc } = await redact({ activeContent: 'remove' });
+    assert.deepEqual(findDanglingReferences(pdfDoc), []);
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of('KeepLaunch'), PDFDict).lookup(PDFName.of('S')).asString(), '/Launch');
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFArray, PDFDocument, PDFName, PDFRawStream, PDFString, decodePDFRawStream } = require('pdf-lib');
+const { box, makePdf, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * A note over the text at 100,650 with an appearance stream, its popup, a reply and a reply to the reply
+ * away from it, plus a note elsewhere whose popup happens to lie over the text
+ */
+function makeAnnotatedPdf(withOther = true) {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Secret words) Tj ET', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const annotation = entries => context.register(context.obj({ Type: 'Annot', P: page.ref, ...entries }));
+        const appearance = context.register(context.stream('BT /F1 8 Tf 0 0 Td (note appearance) Tj ET', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 20, 20] }));
+
+        const note = annotation({ Subtype: 'Text', Rect: [100, 640, 120, 660], Contents: PDFString.of('about the secret'), AP: { N: appearance } });
+        const popup = annotation({ Subtype: 'Popup', Rect: [300, 300, 400, 400], Parent: note });
+        context.lookup(note).set(PDFName.of('Popup'), popup);
+        const reply = annotation({ Subtype: 'Text', Rect: [500, 700, 520, 720], Contents: PDFString.of('reply'), IRT: note });
+        const replyToReply = annotation({ Subtype: 'Text', Rect: [520, 700, 540, 720], Contents: PDFString.of('reply to reply'), IRT: reply });
+        const annots = [note, popup, reply, replyToReply];
+
+        if (withOther) {
+            const other = annotation({ Subtype: 'Text', Rect: [500, 100, 520, 120], Contents: PDFString.of('unrelated') });
+            const otherPopup = annotation({ Subtype: 'Popup', Rect: [90, 630, 200, 670], Parent: other });
+            context.lookup(other).set(PDFName.of('Popup'), otherPopup);
+            annots.push(other, otherPopup);
+        }
+        page.node.set(PDFName.of('Annots'), context.obj(annots));
+    });
+}
+
+async function redact(pdf) {
+    const response = await server.post('/api/submit-redactions', { pdfContent: pdf.toString('base64'), redactions: [box(95, 135, 100, 20)] });
+    assert.equal(response.status, 200);
+    return PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+}
+
+function describeAnnots(pdfDoc) {
+    const annots = pdfDoc.getPage(0).node.lookup(PDFName.of('Annots'));
+    if (!(annots instanceof PDFArray)) {
+        return [];
+    }
+    return annots.asArray().map(ref => {
+        const annotation = pdfDoc.context.lookup(ref);
+        const contents = annotation.get(PDFName.of('Contents'));
+        return `${annotation.get(PDFName.of('Subtype')).decodeText()}${contents ? ` ${contents.decodeText()}` : ''}`;
+    });
+}
+
+test('annotations under the box go with their popups and replies', async () => {
+    const pdfDoc = await redact(await makeAnnotatedPdf());
+    assert.deepEqual(describeAnnots(pdfDoc), ['Text unrelated', 'Popup']);
+});
+
+test('the removed annotations and their appearance streams are gone from the file', async () => {
+    const pdfDoc = await redact(await makeAnnotatedPdf());
+    const objects = pdfDoc.context.enumerateIndirectObjects().map(([, object]) => object);
+    const strings = objects.map(object => object instanceof PDFRawStream
+        ? Buffer.from(decodePDFRawStream(object).decode()).toString('latin1')
+        : object.toString());
+    assert.equal(strings.some(text => /about the secret|reply|note appearance/.test(text)), false);
+});
+
+test('a page whose annotations are all removed is left with no /Annots entries', async () => {
+    const pdfDoc = await redact(await makeAnnotatedPdf(false));
+    assert.deepEqual(describeAnnots(pdfDoc), []);
+});
+
+test('annotations away from the box stay', async () => {
+    const pdf = await makeAnnotatedPdf();
+    const response = await server.post('/api/submit-redactions', { pdfContent: pdf.toString('base64'), redactions: [box(0, 0, 20, 20)] });
+    const pdfDoc = await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+    assert.deepEqual(describeAnnots(pdfDoc), ['Text about the secret', 'Popup', 'Text reply', 'Text reply to reply', 'Text unrelated', 'Popup']);
+});
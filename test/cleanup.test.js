@@ -0,0 +1,188 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDict, PDFDocument, PDFName, StandardFonts, decodePDFRawStream } = require('pdf-lib');
+const { box, makePdf, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * A minimal TrueType program: glyphs 1 to 3 for the codes A to C (format 0 cmap, Mac Roman), glyph 3 a composite
+ * of glyph 4. Simple glyphs have no contours and are told apart by their bounding boxes.
+ */
+function makeTrueType() {
+    const simpleGlyph = size => {
+        const glyph = Buffer.alloc(12);
+        glyph.writeInt16BE(0, 0);
+        glyph.writeInt16BE(size, 6);
+        glyph.writeInt16BE(size, 8);
+        return glyph;
+    };
+    const compositeGlyph = component => {
+        const glyph = Buffer.alloc(16);
+        glyph.writeInt16BE(-1, 0);
+        glyph.writeUInt16BE(0, 10);
+        glyph.writeUInt16BE(component, 12);
+        return glyph;
+    };
+    const glyphs = [simpleGlyph(1), simpleGlyph(100), simpleGlyph(200), compositeGlyph(4), simpleGlyph(400)];
+
+    const glyf = Buffer.concat(glyphs);
+    const loca = Buffer.alloc((glyphs.length + 1) * 4);
+    glyphs.reduce((offset, glyph, gid) => {
+        loca.writeUInt32BE(offset + glyph.length, (gid + 1) * 4);
+        return offset + glyph.length;
+    }, 0);
+    const head = Buffer.alloc(54);
+    head.writeUInt32BE(0x00010000, 0);
+    head.writeUInt32BE(0x5f0f3cf5, 12);
+    head.writeUInt16BE(1000, 18);
+    head.writeInt16BE(1, 50);
+    const maxp = Buffer.alloc(6);
+    maxp.writeUInt32BE(0x00005000, 0);
+    maxp.writeUInt16BE(glyphs.length, 4);
+    const cmap = Buffer.alloc(4 + 8 + 262);
+    cmap.writeUInt16BE(1, 2);
+    cmap.writeUInt16BE(1, 4);
+    cmap.writeUInt32BE(12, 8);
+    cmap.writeUInt16BE(262, 14);
+    cmap[12 + 6 + 65] = 1;
+    cmap[12 + 6 + 66] = 2;
+    cmap[12 + 6 + 67] = 3;
+
+    const tables = [['cmap', cmap], ['glyf', glyf], ['head', head], ['loca', loca], ['maxp', maxp]];
+    const directory = Buffer.alloc(12 + tables.length * 16);
+    directory.writeUInt32BE(0x00010000, 0);
+    directory.writeUInt16BE(tables.length, 4);
+    let offset = directory.length;
+    const parts = [directory];
+    tables.forEach(([tag, table], index) => {
+        directory.write(tag, 12 + index * 16, 'latin1');
+        directory.writeUInt32BE(offset, 12 + index * 16 + 8);
+        directory.writeUInt32BE(table.length, 12 + index * 16 + 12);
+        const padded = Buffer.alloc((table.length + 3) & ~3);
+        table.copy(padded);
+        parts.push(padded);
+        offset += padded.length;
+    });
+    return { data: Buffer.concat(parts), glyphs };
+}
+
+// The glyph outlines of a TrueType program, by glyph id
+function readGlyphs(data) {
+    const tables = new Map();
+    for (let i = 0; i < data.readUInt16BE(4); i++) {
+        const record = 12 + i * 16;
+        tables.set(data.toString('latin1', record, record + 4), data.subarray(data.readUInt32BE(record + 8), data.readUInt32BE(record + 8) + data.readUInt32BE(record + 12)));
+    }
+    const loca = tables.get('loca');
+    const count = tables.get('maxp').readUInt16BE(4);
+    return Array.from({ length: count }, (_, gid) => tables.get('glyf').subarray(loca.readUInt32BE(gid * 4), loca.readUInt32BE(gid * 4 + 4)));
+}
+
+/**
+ * "B" at the top and "AC" lower down in the TrueType font /TT, with a font /Unused and a form /Fm9 that nothing draws,
+ * an annotation whose appearance uses Helvetica-Bold from its own resources, and objects only the catalog refers to
+ */
+function makeCleanupPdf(font) {
+    return makePdf('BT /TT 12 Tf 100 650 Td (B) Tj ET BT /TT 12 Tf 100 550 Td (AC) Tj ET BT /F1 12 Tf 100 450 Td (Kept) Tj ET', async (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const program = context.register(context.flateStream(font.data, { Length1: font.data.length }));
+        const trueType = context.register(context.obj({
+            Type: 'Font',
+            Subtype: 'TrueType',
+            BaseFont: 'Tiny',
+            FirstChar: 65,
+            LastChar: 67,
+            Widths: [600, 600, 600],
+            FontDescriptor: { Type: 'FontDescriptor', FontName: 'Tiny', Flags: 32, FontBBox: [0, 0, 600, 700], ItalicAngle: 0, Ascent: 700, Descent: 0, CapHeight: 700, StemV: 80, FontFile2: program }
+        }));
+        const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const resources = page.node.Resources();
+        resources.lookup(PDFName.of('Font'), PDFDict).set(PDFName.of('TT'), trueType);
+        resources.lookup(PDFName.of('Font'), PDFDict).set(PDFName.of('Unused'), bold.ref);
+        resources.set(PDFName.of('XObject'), context.obj({
+            Fm9: context.register(context.stream('BT /FB 12 Tf (Never drawn) Tj ET', {
+                Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 100, 100], Resources: { Font: { FB: bold.ref } }
+            }))
+        }));
+
+        const appearance = context.register(context.stream('BT /FB 8 Tf 0 0 Td (Note) Tj ET', {
+            Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 40, 20], Resources: { Font: { FB: bold.ref } }
+        }));
+        const note = context.register(context.obj({ Type: 'Annot', Subtype: 'Square', Rect: [400, 100, 440, 120], AP: { N: appearance } }));
+        page.node.set(PDFName.of('Annots'), context.obj([note]));
+
+        pdfDoc.catalog.set(PDFName.of('KeepMe'), context.register(context.obj({ Kept: true })));
+        context.register(context.obj({ Orphan: true }));
+    });
+}
+
+async function redactCleanupPdf(font) {
+    const response = await server.post('/api/submit-redactions', {
+        pdfContent: (await makeCleanupPdf(font)).toString('base64'),
+        redactions: [box(95, 135, 30, 20)]
+    });
+    assert.equal(response.status, 200);
+    return { cleanup: response.json.cleanup, pdfDoc: await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64')) };
+}
+
+test('fonts and XObjects nothing draws are dropped', async () => {
+    const { cleanup, pdfDoc } = await redactCleanupPdf(makeTrueType());
+    const resources = pdfDoc.getPage(0).node.Resources();
+    const fonts = resources.lookup(PDFName.of('Font'), PDFDict);
+    assert.deepEqual(fonts.keys().map(key => key.decodeText()).sort(), ['F1', 'TT']);
+    const xObjects = resources.lookup(PDFName.of('XObject'));
+    assert.equal(xObjects ? xObjects.keys().filter(key => key.decodeText() === 'Fm9').length : 0, 0);
+    assert.ok(cleanup.resourcesRemoved >= 2);
+});
+
+test('the TrueType program loses the glyphs no longer shown and keeps the rest as they were', async () => {
+    const font = makeTrueType();
+    const { cleanup, pdfDoc } = await redactCleanupPdf(font);
+    assert.deepEqual([cleanup.fontsSubset, cleanup.glyphsRemoved], [1, 1]);
+
+    const trueType = pdfDoc.getPage(0).node.Resources().lookup(PDFName.of('Font'), PDFDict).lookup(PDFName.of('TT'), PDFDict);
+    const program = trueType.lookup(PDFName.of('FontDescriptor'), PDFDict).lookup(PDFName.of('FontFile2'));
+    const data = Buffer.from(decodePDFRawStream(program).decode());
+    const glyphs = readGlyphs(data);
+
+    // .notdef, A, C and the component of C stay byte for byte; B is emptied
+    assert.equal(glyphs[2].length, 0);
+    for (const gid of [0, 1, 3, 4]) {
+        assert.deepEqual(glyphs[gid].subarray(0, font.glyphs[gid].length), font.glyphs[gid], `glyph ${gid}`);
+    }
+    assert.equal(program.dict.lookup(PDFName.of('Length1')).asNumber(), data.length);
+
+    // The whole file sums to the TrueType magic number once checkSumAdjustment is in place
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        sum = (sum + data.readUInt32BE(i)) >>> 0;
+    }
+    assert.equal(sum, 0xb1b0afba);
+});
+
+test('the shown text still reads the same after subsetting', async () => {
+    const { pdfDoc } = await redactCleanupPdf(makeTrueType());
+    const pdfContent = Buffer.from(await pdfDoc.save()).toString('base64');
+    const extracted = await server.post('/api/extract-text', { pdfContent });
+    assert.deepEqual(extracted.json.pages[0].lines.map(line => line.text), ['AC', 'Kept']);
+});
+
+test('objects that can still be reached survive, the rest are removed', async () => {
+    const { cleanup, pdfDoc } = await redactCleanupPdf(makeTrueType());
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of('KeepMe'), PDFDict).get(PDFName.of('Kept')).asBoolean(), true);
+
+    const annotation = pdfDoc.getPage(0).node.lookup(PDFName.of('Annots')).lookup(0, PDFDict);
+    const appearance = annotation.lookup(PDFName.of('AP'), PDFDict).lookup(PDFName.of('N'));
+    assert.ok(appearance.dict.lookup(PDFName.of('Resources'), PDFDict).lookup(PDFName.of('Font'), PDFDict).lookup(PDFName.of('FB'), PDFDict));
+
+    const objects = pdfDoc.context.enumerateIndirectObjects().map(([, object]) => object);
+    assert.equal(objects.some(object => object instanceof PDFDict && object.has(PDFName.of('Orphan'))), false);
+    assert.ok(cleanup.objectsRemoved > 0);
+});
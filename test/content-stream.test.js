@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContentStreamLexer, parseContentStream, serializeContentStream } = require('../server');
+
+test('lexer reads every token kind and skips comments', () => {
+    const lexer = createContentStreamLexer('% comment\n/F1 12 Tf [(a) -20 <4142>] TJ << /K true >> -.5 --3');
+    const tokens = [];
+    for (let token = lexer.nextToken(); token.kind !== 'eof'; token = lexer.nextToken()) {
+        tokens.push(token.kind === 'number' ? token.value : token.value !== undefined ? token.value : token.kind);
+    }
+    assert.deepEqual(tokens, ['F1', 12, 'Tf', 'arrayStart', 'a', -20, 'AB', 'arrayEnd', 'TJ', 'dictStart', 'K', 'true', 'dictEnd', -0.5, -3]);
+});
+
+test('literal strings keep nested parentheses and decode escapes', () => {
+    const [operation] = parseContentStream('(a (b) \\(c\\) \\101\\n\\\nd) Tj');
+    assert.equal(operation.operator, 'Tj');
+    assert.equal(operation.operands[0].value, 'a (b) (c) A\nd');
+});
+
+test('hex strings ignore whitespace and pad an odd digit', () => {
+    const [operation] = parseContentStream('<41 4 > Tj');
+    assert.equal(operation.operands[0].value, 'A@');
+    assert.equal(operation.operands[0].hex, true);
+});
+
+test('names decode #xx escapes', () => {
+    const [operation] = parseContentStream('/A#20B gs');
+    assert.deepEqual(operation.operands, [{ type: 'name', value: 'A B' }]);
+});
+
+test('operators collect the operands before them', () => {
+    const operations = parseContentStream('q 1 0 0 1 10 20 cm BT /F1 9 Tf ET Q');
+    assert.deepEqual(operations.map(operation => [operation.operator, operation.operands.length]), [
+        ['q', 0], ['cm', 6], ['BT', 0], ['Tf', 2], ['ET', 0], ['Q', 0]
+    ]);
+});
+
+test('inline image data containing EI is read by its length', () => {
+    const operations = parseContentStream('BI /W 2 /H 1 /BPC 8 /CS /G ID EI\nEI Q');
+    assert.equal(operations.length, 2);
+    assert.equal(operations[0].operator, 'BI');
+    assert.equal(operations[0].image.data, 'EI');
+    assert.equal(operations[1].operator, 'Q');
+});
+
+test('serialize round-trips what it parses', () => {
+    const content = 'BT\n/F1 12 Tf\n1 0 0 1 72 700 Tm\n[(Hello) -250 (W\\(o\\)rld)] TJ\nET\n/P <</MCID 3>> BDC\nEMC';
+    const operations = parseContentStream(content);
+    assert.deepEqual(parseContentStream(serializeContentStream(operations)), operations);
+});
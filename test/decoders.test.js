@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { applyPredictor, decodeStreamData, inlineImageToStream, parseContentStream } = require('../server');
+
+const TEXT = 'BT /F1 12 Tf 100 700 Td (Secret) Tj ET BT /F1 12 Tf 100 700 Td (Secret) Tj ET';
+
+// LZW with the PDF default EarlyChange 1
+function encodeLzw(bytes) {
+    const table = new Map();
+    for (let i = 0; i < 256; i++) table.set(String.fromCharCode(i), i);
+    const output = [];
+    let nextCode = 258;
+    let codeLength = 9;
+    let buffer = 0;
+    let bits = 0;
+    const emit = code => {
+        buffer = (buffer << codeLength) | code;
+        bits += codeLength;
+        while (bits >= 8) {
+            output.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+            buffer &= (1 << bits) - 1;
+        }
+    };
+    emit(256);
+    let word = '';
+    for (const char of Buffer.from(bytes).toString('latin1')) {
+        if (table.has(word + char)) {
+            word += char;
+            continue;
+        }
+        emit(table.get(word));
+        table.set(word + char, nextCode++);
+        if (nextCode + 1 >= (1 << codeLength) && codeLength < 12) codeLength++;
+        word = char;
+    }
+    emit(table.get(word));
+    emit(257);
+    if (bits > 0) output.push((buffer << (8 - bits)) & 0xff);
+    return Buffer.from(output);
+}
+
+function encodeAscii85(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 4) {
+        const chunk = [...bytes.slice(i, i + 4)];
+        const padding = 4 - chunk.length;
+        while (chunk.length < 4) chunk.push(0);
+        let value = chunk.reduce((sum, byte) => sum * 256 + byte, 0);
+        let group = '';
+        for (let k = 0; k < 5; k++) {
+            group = String.fromCharCode(33 + (value % 85)) + group;
+            value = Math.floor(value / 85);
+        }
+        text += group.slice(0, 5 - padding);
+    }
+    return Buffer.from(text + '~>');
+}
+
+function encodeRunLength(bytes) {
+    const output = [];
+    for (let i = 0; i < bytes.length; i += 128) {
+        const chunk = bytes.slice(i, i + 128);
+        output.push(chunk.length - 1, ...chunk);
+    }
+    output.push(128);
+    return Buffer.from(output);
+}
+
+async function decode(data, dict) {
+    const pdfDoc = await PDFDocument.create();
+    const result = decodeStreamData(pdfDoc, pdfDoc.context.stream(data, dict));
+    return result && Buffer.from(result).toString('latin1');
+}
+
+test('decodes Flate, LZW, ASCII85, ASCIIHex and RunLength streams', async () => {
+    const bytes = Buffer.from(TEXT);
+    assert.equal(await decode(zlib.deflateSync(bytes), { Filter: 'FlateDecode' }), TEXT);
+    assert.equal(await decode(encodeLzw(bytes), { Filter: 'LZWDecode' }), TEXT);
+    assert.equal(await decode(encodeAscii85(bytes), { Filter: 'ASCII85Decode' }), TEXT);
+    assert.equal(await decode(Buffer.from(bytes.toString('hex') + '>'), { Filter: 'ASCIIHexDecode' }), TEXT);
+    assert.equal(await decode(encodeRunLength(bytes), { Filter: 'RunLengthDecode' }), TEXT);
+});
+
+test('decodes filter chains in order', async () => {
+    const data = encodeAscii85(zlib.deflateSync(Buffer.from(TEXT)));
+    assert.equal(await decode(data, { Filter: ['ASCII85Decode', 'FlateDecode'] }), TEXT);
+});
+
+test('undoes a PNG predictor after LZW', async () => {
+    const rows = [[1, 2, 3, 4], [5, 6, 7, 8]];
+    // PNG Up filter on the second row
+    const predicted = Buffer.from([0, ...rows[0], 2, ...rows[1].map((value, i) => value - rows[0][i])]);
+    const result = await decode(encodeLzw(predicted), { Filter: 'LZWDecode', DecodeParms: { Predictor: 12, Columns: 4 } });
+    assert.deepEqual([...Buffer.from(result, 'latin1')], rows.flat());
+});
+
+test('returns null for image codecs and unknown filters', async () => {
+    assert.equal(await decode('xx', { Filter: 'JBIG2Decode' }), null);
+    assert.equal(await decode('xx', { Filter: 'NoSuchDecode' }), null);
+});
+
+test('ignores the inline image abbreviations on ordinary streams', async () => {
+    // /F is a file specification on a stream object, not a filter
+    assert.equal(await decode('plain', { F: 'FlateDecode' }), 'plain');
+});
+
+test('inline images get their filter and key abbreviations expanded', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const [operation] = parseContentStream('BI /W 1 /H 1 /BPC 8 /CS /G /F [/AHx /Fl] ID 789c63000000010001>\nEI');
+    const stream = inlineImageToStream(pdfDoc, operation.image);
+    assert.equal(stream.dict.get(PDFName.of('Filter')).toString(), '[ /ASCIIHexDecode /FlateDecode ]');
+    assert.equal(decodeStreamData(pdfDoc, stream)[0], 0);
+});
+
+test('TIFF predictor works for 8-bit samples', () => {
+    const output = applyPredictor(new Uint8Array([10, 20, 1, 2, 255, 1]), { predictor: 2, colors: 2, bitsPerComponent: 8, columns: 3 });
+    assert.deepEqual([...output], [10, 20, 11, 22, 10, 23]);
+});
+
+test('TIFF predictor works for 1-bit and 4-bit samples', () => {
+    // 1-bit: differences 1,0,0,1,1,0,0,0 accumulate to 1,1,1,0,1,1,1,1
+    assert.deepEqual([...applyPredictor(new Uint8Array([0b10011000]), { predictor: 2, colors: 1, bitsPerComponent: 1, columns: 8 })], [0b11101111]);
+    // 4-bit, two components: (3, 5) then differences (2, 15) give (5, 4)
+    assert.deepEqual([...applyPredictor(new Uint8Array([0x35, 0x2f]), { predictor: 2, colors: 2, bitsPerComponent: 4, columns: 2 })], [0x35, 0x54]);
+});
+
+test('TIFF predictor works for 16-bit samples', () => {
+    const output = applyPredictor(new Uint8Array([0x01, 0x00, 0xff, 0xff, 0x00, 0x02]), { predictor: 2, colors: 1, bitsPerComponent: 16, columns: 3 });
+    assert.deepEqual([...output], [0x01, 0x00, 0x00, 0xff, 0x01, 0x01]);
+});
+
+test('TIFF predictor rejects depths it cannot undo', () => {
+    assert.throws(() => applyPredictor(new Uint8Array(4), { predictor: 2, colors: 1, bitsPerComponent: 12, columns: 2 }));
+});
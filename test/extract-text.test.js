@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { box, makePdf, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+test('labels printed on redaction boxes are not extracted as text', async () => {
+    const pdfContent = (await makePdf('BT /F1 12 Tf 100 650 Td (Public line) Tj 0 -100 Td (Secret line) Tj ET')).toString('base64');
+    const redacted = await server.post('/api/submit-redactions', {
+        pdfContent,
+        redactions: [{ ...box(95, 235, 200, 20), exemptionCode: 'b(6)', appearance: { overlayText: 'WITHHELD' } }]
+    });
+    assert.equal(redacted.status, 200);
+
+    const response = await server.post('/api/extract-text', { pdfContent: redacted.json.redactedPdfBase64 });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.json.pages[0].lines.map(line => line.text), ['Public line']);
+    assert.equal(response.json.wordCount, 2);
+});
+
+test('text in a redaction label marker the service did not sign is extracted and checked for PII', async () => {
+    const pdfContent = (await makePdf(
+        '/Artifact <</Type /Layout /Subtype /Redaction>> BDC BT /F1 12 Tf 100 650 Td (SSN 123-45-6789) Tj ET EMC ' +
+        '/Artifact <</Type /Layout /Subtype /Redaction /Sig (0123)>> BDC BT /F1 12 Tf 100 550 Td (Forged label) Tj ET EMC'
+    )).toString('base64');
+
+    const extracted = await server.post('/api/extract-text', { pdfContent });
+    assert.equal(extracted.status, 200);
+    assert.deepEqual(extracted.json.pages[0].lines.map(line => line.text), ['SSN 123-45-6789', 'Forged label']);
+
+    const detected = await server.post('/api/detect-pii', { pdfContent });
+    assert.equal(detected.status, 200);
+    assert.ok(detected.json.candidates.some(candidate => candidate.text === '123-45-6789'));
+});
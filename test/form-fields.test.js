@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const { box, makePdf, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Fields at the top of the page (y 640..660): "name", the first widget of "email" (whose second widget is
+ * lower down) and the checked box "agree"; "city" sits lower down on its own
+ */
+function makeFormPdf(withXfa = false) {
+    return makePdf('', async (pdfDoc, page) => {
+        const form = pdfDoc.getForm();
+        const name = form.createTextField('name');
+        name.setText('Jane Doe');
+        name.addToPage(page, { x: 100, y: 640, width: 120, height: 20 });
+        const email = form.createTextField('email');
+        email.setText('jane@example.com');
+        email.addToPage(page, { x: 230, y: 640, width: 150, height: 20 });
+        email.addToPage(page, { x: 230, y: 300, width: 150, height: 20 });
+        const agree = form.createCheckBox('agree');
+        agree.addToPage(page, { x: 390, y: 640, width: 20, height: 20 });
+        agree.check();
+        const city = form.createTextField('city');
+        city.setText('Springfield');
+        city.addToPage(page, { x: 100, y: 400, width: 120, height: 20 });
+        if (withXfa) {
+            pdfDoc.catalog.lookup(PDFName.of('AcroForm')).set(PDFName.of('XFA'), PDFString.of('<xdp:xdp>Jane Doe</xdp:xdp>'));
+        }
+    });
+}
+
+// Covers the top row of fields, y 640..660 in PDF space
+const TOP_ROW = box(90, 135, 330, 30);
+
+async function redact(pdf, redactionOptions) {
+    const response = await server.post('/api/submit-redactions', { pdfContent: pdf.toString('base64'), redactions: [TOP_ROW], redactionOptions });
+    assert.equal(response.status, 200);
+    return response.json.redactedPdfBase64;
+}
+
+test('fields under the box lose their values and appearances, checkboxes are switched off', async () => {
+    const pdfDoc = await PDFDocument.load(Buffer.from(await redact(await makeFormPdf()), 'base64'));
+    const form = pdfDoc.getForm();
+
+    const name = form.getTextField('name');
+    assert.equal(name.getText(), undefined);
+    assert.equal(name.acroField.getWidgets()[0].dict.get(PDFName.of('AP')), undefined);
+
+    const agree = form.getCheckBox('agree');
+    assert.equal(agree.isChecked(), false);
+    assert.equal(agree.acroField.getWidgets()[0].getAppearanceState().decodeText(), 'Off');
+});
+
+test('every widget of a field under the box is cleared, wherever it is', async () => {
+    const pdfDoc = await PDFDocument.load(Buffer.from(await redact(await makeFormPdf()), 'base64'));
+    const email = pdfDoc.getForm().getTextField('email');
+    assert.equal(email.getText(), undefined);
+    assert.deepEqual(email.acroField.getWidgets().map(widget => widget.dict.has(PDFName.of('AP'))), [false, false]);
+});
+
+test('fields away from the box keep their values and appearances', async () => {
+    const pdfDoc = await PDFDocument.load(Buffer.from(await redact(await makeFormPdf()), 'base64'));
+    const city = pdfDoc.getForm().getTextField('city');
+    assert.equal(city.getText(), 'Springfield');
+    assert.ok(city.acroField.getWidgets()[0].dict.has(PDFName.of('AP')));
+});
+
+test('XFA data goes when a field under the box is cleared', async () => {
+    const pdfDoc = await PDFDocument.load(Buffer.from(await redact(await makeFormPdf(true)), 'base64'));
+    assert.equal(pdfDoc.catalog.lookup(PDFName.of('AcroForm')).has(PDFName.of('XFA')), false);
+});
+
+test('flattenForms bakes the fields into the page before redacting them', async () => {
+    const pdfContent = await redact(await makeFormPdf(), { flattenForms: true });
+    const pdfDoc = await PDFDocument.load(Buffer.from(pdfContent, 'base64'));
+    const acroForm = pdfDoc.catalog.lookup(PDFName.of('AcroForm'));
+    assert.equal(acroForm ? pdfDoc.getForm().getFields().length : 0, 0);
+    const annots = pdfDoc.getPage(0).node.lookup(PDFName.of('Annots'));
+    assert.equal(annots ? annots.size() : 0, 0);
+
+    const extracted = await server.post('/api/extract-text', { pdfContent });
+    const text = extracted.json.pages[0].lines.map(line => line.text);
+    assert.deepEqual(text.sort(), ['Springfield', 'jane@example.com']);
+});
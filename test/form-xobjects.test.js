@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDict, PDFDocument, PDFName, decodePDFRawStream } = require('pdf-lib');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Two pages drawing the same form /Fm1: "Shared secret" at the top and "Public words" lower down,
+ * and, when nested, "Nested secret" drawn by a form /Fm2 inside it, moved down 100pt by its Matrix
+ */
+function makeSharedFormPdf(nested) {
+    return makePdf('/Fm1 Do', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const fontRef = page.node.Resources().lookup(PDFName.of('Font'), PDFDict).get(PDFName.of('F1'));
+        const resources = { Font: { F1: fontRef } };
+        if (nested) {
+            resources.XObject = {
+                Fm2: context.register(context.stream('BT /F1 12 Tf 100 650 Td (Nested secret) Tj ET', {
+                    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 600, 800], Matrix: [1, 0, 0, 1, 0, -100], Resources: { Font: { F1: fontRef } }
+                }))
+            };
+        }
+        const form = context.register(context.stream(`BT /F1 12 Tf 100 650 Td (Shared secret) Tj 0 -200 Td (Public words) Tj ET${nested ? ' /Fm2 Do' : ''}`, {
+            Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 600, 800], Resources: resources
+        }));
+        page.node.Resources().set(PDFName.of('XObject'), context.obj({ Fm1: form }));
+
+        const second = pdfDoc.addPage([600, 800]);
+        second.node.set(PDFName.of('Resources'), page.node.get(PDFName.of('Resources')));
+        second.node.set(PDFName.of('Contents'), context.register(context.stream('/Fm1 Do')));
+    });
+}
+
+async function redactAndExtract(pdf, redaction) {
+    const redacted = await server.post('/api/submit-redactions', { pdfContent: pdf.toString('base64'), redactions: [redaction] });
+    assert.equal(redacted.status, 200);
+    const extracted = await server.post('/api/extract-text', { pdfContent: redacted.json.redactedPdfBase64 });
+    return { base64: redacted.json.redactedPdfBase64, pages: extracted.json.pages.map(page => page.lines.map(line => line.text)) };
+}
+
+// Decoded content of the XObject a page draws under the given name
+function formContent(pdfDoc, pageIndex, name, parent) {
+    const resources = parent ? parent.dict.lookup(PDFName.of('Resources'), PDFDict) : pdfDoc.getPage(pageIndex).node.Resources();
+    const form = pdfDoc.context.lookup(resources.lookup(PDFName.of('XObject'), PDFDict).get(PDFName.of(name)));
+    return { form, content: Buffer.from(decodePDFRawStream(form).decode()).toString('latin1') };
+}
+
+test('a form shared by two pages is redacted only where the box is', async () => {
+    const { pages } = await redactAndExtract(await makeSharedFormPdf(false), box(95, 135, 100, 20));
+    assert.deepEqual(pages[0], ['Public words']);
+    assert.deepEqual(pages[1], ['Shared secret', 'Public words']);
+});
+
+test('the page with the box draws a redacted copy and the original form stays intact', async () => {
+    const { base64 } = await redactAndExtract(await makeSharedFormPdf(false), box(95, 135, 100, 20));
+    const pdfDoc = await PDFDocument.load(Buffer.from(base64, 'base64'));
+
+    const drawn = (await pageContent(base64, 0)).match(/\/(\S+) Do/)[1];
+    assert.notEqual(drawn, 'Fm1');
+    assert.doesNotMatch(formContent(pdfDoc, 0, drawn).content, /Shared secret/);
+    assert.match(await pageContent(base64, 1), /\/Fm1 Do/);
+    assert.match(formContent(pdfDoc, 1, 'Fm1').content, /\(Shared secret\) Tj/);
+});
+
+test('nested forms are redacted through the matrices of both forms', async () => {
+    // "Nested secret" lands at y 550, 250pt from the top of the page
+    const { base64, pages } = await redactAndExtract(await makeSharedFormPdf(true), box(95, 235, 100, 20));
+    assert.deepEqual(pages[0], ['Shared secret', 'Public words']);
+    assert.deepEqual(pages[1], ['Shared secret', 'Public words', 'Nested secret']);
+
+    const pdfDoc = await PDFDocument.load(Buffer.from(base64, 'base64'));
+    const outer = formContent(pdfDoc, 1, 'Fm1');
+    assert.match(formContent(pdfDoc, 1, 'Fm2', outer.form).content, /\(Nested secret\) Tj/);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// "Hello " is 30.672pt wide in 12pt Helvetica, so "Secret" runs from x 130.672 to 165.352
+const SECRET = box(132, 140, 32, 15);
+
+async function redact(content, redactions) {
+    const pdfContent = (await makePdf(content)).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions });
+    assert.equal(response.status, 200);
+    return response.json.redactedPdfBase64;
+}
+
+async function words(pdfContent) {
+    const response = await server.post('/api/extract-text', { pdfContent });
+    return response.json.pages[0].words.map(word => [word.text, word.box.x.toFixed(2), word.box.y.toFixed(2)]);
+}
+
+test('only the glyphs under the box are removed from a string', async () => {
+    const content = 'BT /F1 12 Tf 100 650 Td (Hello Secret World) Tj ET';
+    const redacted = await redact(content, [SECRET]);
+    const text = await pageContent(redacted);
+    assert.doesNotMatch(text, /Secret|Secr|cret/);
+    assert.match(text, /Hello/);
+    assert.match(text, /World/);
+});
+
+test('the glyphs left keep their positions', async () => {
+    const content = 'BT /F1 12 Tf 100 650 Td [(Hello Sec) -50 (ret World)] TJ 0 -20 Td (Next line) Tj ET';
+    const original = (await makePdf(content)).toString('base64');
+    const before = await words(original);
+    const after = await words(await redact(content, [SECRET]));
+    assert.ok(before.some(([word]) => word === 'Secret'));
+    assert.deepEqual(after, before.filter(([word]) => word !== 'Secret'));
+});
+
+test('other text in the same BT block stays', async () => {
+    const content = 'BT /F1 12 Tf 100 650 Td (Hello Secret World) Tj 0 -100 Td (Unrelated) Tj ET BT /F1 12 Tf 100 450 Td (Another block) Tj ET';
+    const text = await pageContent(await redact(content, [SECRET]));
+    assert.match(text, /Unrelated/);
+    assert.match(text, /Another block/);
+});
+
+test('a glyph partly under the box is removed whole', async () => {
+    // Covers the right half of "S" and nothing else
+    const text = await pageContent(await redact('BT /F1 12 Tf 100 650 Td (Hello Secret World) Tj ET', [box(134, 140, 1, 15)]));
+    assert.match(text, /ecret World/);
+    assert.doesNotMatch(text, /Secret/);
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const CONTENT = [
+    // Drawn at half scale: 24pt at (100, 1400) lands as 12pt at (50, 700)
+    'q 0.5 0 0 0.5 0 0 cm BT /F1 24 Tf 1 0 0 1 100 1400 Tm (Scaled) Tj ET Q',
+    // Flipped page space with a flipped text matrix: upright at (50, 600)
+    'q 1 0 0 -1 0 800 cm BT /F1 12 Tf 1 0 0 -1 50 200 Tm (Flipped) Tj ET Q',
+    // The translation is undone by Q before the text
+    'q 1 0 0 1 200 0 cm Q BT /F1 12 Tf 50 500 Td (Restored) Tj ET'
+].join(' ');
+
+async function words(pdfContent) {
+    const response = await server.post('/api/extract-text', { pdfContent });
+    return Object.fromEntries(response.json.pages[0].words.map(word => [word.text, word.box]));
+}
+
+test('text positions combine the CTM, the text matrix and the q/Q stack', async () => {
+    const found = await words((await makePdf(CONTENT)).toString('base64'));
+    for (const [word, y] of [['Scaled', 700], ['Flipped', 600], ['Restored', 500]]) {
+        assert.ok(Math.abs(found[word].x - 50) < 0.5, `${word} starts at x ${found[word].x}`);
+        assert.ok(found[word].y < y && found[word].y + found[word].height > y, `${word} covers the baseline y ${y}`);
+        assert.ok(found[word].height > 8 && found[word].height < 16, `${word} is about 12pt high`);
+    }
+});
+
+test('redactions remove the text where it is drawn', async () => {
+    const pdfContent = (await makePdf(CONTENT)).toString('base64');
+    for (const [word, y] of [['Scaled', 700], ['Flipped', 600], ['Restored', 500]]) {
+        const response = await server.post('/api/submit-redactions', {
+            pdfContent,
+            redactions: [{ pageIndex: 0, x: 45, y: y - 5, width: 60, height: 15, units: 'pt' }]
+        });
+        const content = await pageContent(response.json.redactedPdfBase64);
+        assert.deepEqual(['Scaled', 'Flipped', 'Restored'].filter(other => !content.includes(other)), [word]);
+    }
+});
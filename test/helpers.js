@@ -0,0 +1,64 @@
+const { PDFArray, PDFDocument, PDFName, StandardFonts, decodePDFRawStream } = require('pdf-lib');
+const { app } = require('../server');
+
+/**
+ * Start the app on a free port; resolves to { url, post, close }, with post(path, body, headers) resolving to { status, headers, json }
+ */
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const post = async (path, body, headers = {}) => {
+                const response = await fetch(base + path, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    body: JSON.stringify(body)
+                });
+                const text = await response.text();
+                let json = null;
+                try {
+                    json = JSON.parse(text);
+                } catch (error) {
+                    // Binary downloads stay unparsed
+                }
+                return { status: response.status, headers: response.headers, json };
+            };
+            resolve({ url: base, post, close: () => new Promise(done => server.close(done)) });
+        });
+    });
+}
+
+/**
+ * A one-page 600x800 PDF with Helvetica as /F1 and the given content stream
+ */
+async function makePdf(content, setup) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([600, 800]);
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({ Font: { F1: font.ref } }));
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.stream(content)));
+    if (setup) {
+        await setup(pdfDoc, page);
+    }
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+/**
+ * Decoded content of a page of a PDF given as base64
+ */
+async function pageContent(base64, pageIndex = 0) {
+    const pdfDoc = await PDFDocument.load(Buffer.from(base64, 'base64'));
+    const page = pdfDoc.getPage(pageIndex);
+    const contents = page.node.Contents();
+    const refs = contents instanceof PDFArray ? contents.asArray() : [page.node.get(PDFName.of('Contents'))];
+    return refs.map(ref => Buffer.from(decodePDFRawStream(pdfDoc.context.lookup(ref)).decode()).toString('latin1')).join('\n');
+}
+
+/**
+ * A redaction in viewport units of a 600x800 viewport, y measured from the top
+ */
+function box(x, y, width, height, pageIndex = 0) {
+    return { pageIndex, x, y, width, height, viewportWidth: 600, viewportHeight: 800 };
+}
+
+module.exports = { box, makePdf, pageContent, startServer };
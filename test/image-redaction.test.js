@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDict, PDFDocument, PDFHexString, PDFName, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const { decodeStreamData, inlineImageToStream, parseContentStream } = require('../server');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// A white 4x4 image of 100pt pixels covering x 100..500 and y 200..600; Indexed ones use palette entry 0
+function makeImagePdf(colorSpace) {
+    return makePdf('q 400 0 0 400 100 200 cm /Im1 Do Q', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const image = context.register(context.stream(new Uint8Array(16).fill(colorSpace === 'DeviceGray' ? 255 : 0), {
+            Type: 'XObject',
+            Subtype: 'Image',
+            Width: 4,
+            Height: 4,
+            BitsPerComponent: 8,
+            // White, red, black, grey
+            ColorSpace: colorSpace === 'DeviceGray' ? colorSpace : context.obj(['Indexed', 'DeviceRGB', 3, PDFHexString.of('ffffffff0000000000808080')])
+        }));
+        page.node.Resources().set(PDFName.of('XObject'), context.obj({ Im1: image }));
+    });
+}
+
+async function redactedSamples(colorSpace, redaction) {
+    const pdfContent = (await makeImagePdf(colorSpace)).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction] });
+    assert.equal(response.status, 200);
+    const pdfDoc = await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+    const xObjects = pdfDoc.getPage(0).node.Resources().lookup(PDFName.of('XObject'), PDFDict);
+    const image = xObjects.values().map(ref => pdfDoc.context.lookup(ref)).find(object => object instanceof PDFRawStream);
+    return [...decodePDFRawStream(image).decode()];
+}
+
+test('every pixel the area touches is blanked, not only those with their center in it', async () => {
+    // 20pt around the corner shared by rows 1-2 and columns 0-1, which holds no pixel center
+    const samples = await redactedSamples('DeviceGray', box(190, 390, 20, 20));
+    assert.deepEqual(samples, [
+        255, 255, 255, 255,
+        0, 0, 255, 255,
+        0, 0, 255, 255,
+        255, 255, 255, 255
+    ]);
+});
+
+test('pixels that only share an edge with the area stay', async () => {
+    // Exactly the pixel at row 1, column 1
+    const samples = await redactedSamples('DeviceGray', box(200, 300, 100, 100));
+    assert.deepEqual(samples.map(sample => sample === 0 ? 1 : 0), [
+        0, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0
+    ]);
+});
+
+test('indexed images are blanked to their darkest palette entry', async () => {
+    const samples = await redactedSamples('Indexed', box(190, 390, 20, 20));
+    assert.deepEqual(samples, [
+        0, 0, 0, 0,
+        2, 2, 0, 0,
+        2, 2, 0, 0,
+        0, 0, 0, 0
+    ]);
+});
+
+test('images that cannot be decoded are removed and reported', async () => {
+    const pdfContent = (await makePdf('q 400 0 0 400 100 200 cm /Im1 Do Q', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const image = context.register(context.stream('not a jpeg 2000 codestream', {
+            Type: 'XObject', Subtype: 'Image', Width: 4, Height: 4, BitsPerComponent: 8, ColorSpace: 'DeviceGray', Filter: 'JPXDecode'
+        }));
+        page.node.Resources().set(PDFName.of('XObject'), context.obj({ Im1: image }));
+    })).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [box(190, 390, 20, 20)] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.json.images.undecodableRemoved, [{ redaction: 0, pageIndex: 0, name: 'Im1' }]);
+    assert.doesNotMatch(await pageContent(response.json.redactedPdfBase64), /Do/);
+});
+
+test('inline images that cannot be decoded are removed and reported', async () => {
+    const contentBase64 = (await makePdf('q 400 0 0 400 100 200 cm BI /W 4 /H 4 /BPC 1 /IM true /F /CCF ID xxxx EI Q')).toString('base64');
+    const response = await server.post('/redact-and-download', { contentBase64, redactions: [box(190, 390, 20, 20)] });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Undecodable-Images-Removed'), '1');
+});
+
+test('images that decode are not reported', async () => {
+    const pdfContent = (await makeImagePdf('DeviceGray')).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [box(190, 390, 20, 20)] });
+    assert.deepEqual(response.json.images, { undecodableRemoved: [] });
+});
+
+// The samples of the inline images left in the page content, decoded
+async function inlineImageSamples(base64) {
+    const pdfDoc = await PDFDocument.create();
+    return parseContentStream(await pageContent(base64))
+        .filter(operation => operation.operator === 'BI')
+        .map(operation => [...decodeStreamData(pdfDoc, inlineImageToStream(pdfDoc, operation.image))]);
+}
+
+async function redactInlineImage(redaction) {
+    // The white 4x4 image of makeImagePdf, drawn inline
+    const pdfContent = (await makePdf(`q 400 0 0 400 100 200 cm BI /W 4 /H 4 /BPC 8 /CS /G /F /AHx ID ${'ff'.repeat(16)}> EI Q`)).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction] });
+    assert.equal(response.status, 200);
+    return inlineImageSamples(response.json.redactedPdfBase64);
+}
+
+test('inline images have the pixels under the box blanked in place', async () => {
+    const [samples] = await redactInlineImage(box(190, 390, 20, 20));
+    assert.deepEqual(samples, [
+        255, 255, 255, 255,
+        0, 0, 255, 255,
+        0, 0, 255, 255,
+        255, 255, 255, 255
+    ]);
+});
+
+test('inline images the box covers are removed and those away from it are kept', async () => {
+    assert.deepEqual(await redactInlineImage(box(90, 190, 420, 420)), []);
+    assert.deepEqual(await redactInlineImage(box(0, 0, 50, 50)), [new Array(16).fill(255)]);
+});
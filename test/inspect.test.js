@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { inspectDocument, removeActiveContent } = require('../server');
+const { makePdf } = require('./helpers');
+
+function makeActivePdf() {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Hello) Tj ET', async pdfDoc => {
+        pdfDoc.addJavaScript('greeting', 'app.alert("hi")');
+        await pdfDoc.attach(Buffer.from('payload'), 'notes.txt', { mimeType: 'text/plain' });
+    });
+}
+
+test('inspecting leaves the active content in place', async () => {
+    const bytes = await makeActivePdf();
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const before = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+    const inspection = inspectDocument(pdfDoc);
+    assert.deepEqual(inspection.javascript.map(item => [item.type, item.name]), [['javascript', 'greeting']]);
+    // pdf-lib lists the attachment in the catalog's /AF too
+    assert.deepEqual(inspection.attachments.map(item => item.type), ['embeddedFile', 'associatedFiles']);
+    assert.equal(inspection.attachments[0].name, 'notes.txt');
+
+    const after = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    assert.ok(after.equals(before));
+    assert.equal(inspectDocument(pdfDoc).summary.javascript, 1);
+});
+
+test('removing reports and drops what inspecting finds', async () => {
+    const pdfDoc = await PDFDocument.load(await makeActivePdf());
+    const found = inspectDocument(pdfDoc);
+    const report = removeActiveContent(pdfDoc, 'remove');
+    const byType = (a, b) => a.type.localeCompare(b.type);
+    assert.deepEqual(report.removed.sort(byType), [...found.attachments, ...found.javascript].sort(byType));
+
+    const reloaded = await PDFDocument.load(await pdfDoc.save());
+    const inspection = inspectDocument(reloaded);
+    assert.equal(inspection.summary.javascript, 0);
+    assert.equal(inspection.summary.attachments, 0);
+    assert.doesNotMatch(Buffer.from(await reloaded.save()).toString('latin1'), /app\.alert|payload/);
+});
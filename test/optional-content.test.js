@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// Layer L1 is hidden in the default configuration, L2 is shown
+function makeLayeredPdf() {
+    return makePdf('/OC /L1 BDC BT /F1 12 Tf 100 650 Td (Hidden layer) Tj ET EMC /OC /L2 BDC BT /F1 12 Tf 100 550 Td (Shown layer) Tj ET EMC', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const hidden = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Hidden') }));
+        const shown = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Shown') }));
+        pdfDoc.catalog.set(PDFName.of('OCProperties'), context.obj({ OCGs: [hidden, shown], D: { OFF: [hidden] } }));
+        page.node.Resources().set(PDFName.of('Properties'), context.obj({ L1: hidden, L2: shown }));
+    });
+}
+
+async function redact(optionalContent) {
+    const pdfContent = (await makeLayeredPdf()).toString('base64');
+    return server.post('/api/submit-redactions', { pdfContent, redactions: [box(0, 0, 10, 10)], redactionOptions: { optionalContent } });
+}
+
+test('responses report that layers were kept by default', async () => {
+    const response = await redact(undefined);
+    assert.deepEqual(response.json.optionalContent, { mode: 'keep', layersRemoved: 0, hiddenContentRemoved: 0 });
+});
+
+test('responses report the layers flattened', async () => {
+    const response = await redact('flatten');
+    assert.deepEqual(response.json.optionalContent, { mode: 'flatten', layersRemoved: 2, hiddenContentRemoved: 0 });
+    assert.match(await pageContent(response.json.redactedPdfBase64), /Hidden layer/);
+});
+
+test('responses report the hidden content removed', async () => {
+    const response = await redact('removeHidden');
+    assert.equal(response.json.optionalContent.mode, 'removeHidden');
+    assert.equal(response.json.optionalContent.layersRemoved, 2);
+    assert.ok(response.json.optionalContent.hiddenContentRemoved > 0);
+    const content = await pageContent(response.json.redactedPdfBase64);
+    assert.doesNotMatch(content, /Hidden layer/);
+    assert.match(content, /Shown layer/);
+});
+
+test('downloads report the optional content in a header', async () => {
+    const contentBase64 = (await makeLayeredPdf()).toString('base64');
+    const response = await server.post('/redact-and-download', { contentBase64, redactions: [box(0, 0, 10, 10)], redactionOptions: { optionalContent: 'removeHidden' } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('X-Optional-Content'), /^mode=removeHidden; layers=2; hidden=[1-9]/);
+});
+
+test('unknown optional content modes are rejected', async () => {
+    const response = await redact('hide');
+    assert.equal(response.status, 400);
+    assert.equal(response.json.error, 'Invalid redaction options');
+    assert.match(response.json.message, /optionalContent/);
+});
+
+test('layers are left in place when some content cannot be decoded', async () => {
+    const pdf = await makePdf('/OC /L1 BDC BT /F1 12 Tf 100 650 Td (Hidden layer) Tj ET EMC', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const hidden = context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Hidden') }));
+        pdfDoc.catalog.set(PDFName.of('OCProperties'), context.obj({ OCGs: [hidden], D: { OFF: [hidden] } }));
+        // A form whose /OC markers could not be rewritten, in a filter the service does not decode
+        const form = context.register(context.stream('not jbig2 data', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 10, 10], Filter: 'JBIG2Decode' }));
+        page.node.Resources().set(PDFName.of('Properties'), context.obj({ L1: hidden }));
+        page.node.Resources().set(PDFName.of('XObject'), context.obj({ Fm1: form }));
+    });
+    const response = await server.post('/api/submit-redactions', { pdfContent: pdf.toString('base64'), redactions: [box(0, 0, 10, 10)], redactionOptions: { optionalContent: 'removeHidden' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.optionalContent.layersRemoved, 0);
+    assert.match(response.json.optionalContent.skipped, /Form XObject \/Fm1 on page 1/);
+    
+    const pdfDoc = await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+    assert.ok(pdfDoc.catalog.get(PDFName.of('OCProperties')));
+    assert.ok(pdfDoc.getPage(0).node.Resources().get(PDFName.of('Properties')));
+    assert.match(await pageContent(response.json.redactedPdfBase64), /\/OC \/L1 BDC/);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFName, degrees } = require('pdf-lib');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// CropBox 500x600 at (50, 100); "Hello" sits around x 100..130, y 647..659 of the page
+const CROP = { x: 50, y: 100, width: 500, height: 600 };
+const HELLO = { minX: 95, minY: 645, maxX: 135, maxY: 662 };
+
+// Where a point of the page shows in a viewer, as fractions of the displayed width and height from the top left
+function toDisplay(rotation, x, y) {
+    const u = (x - CROP.x) / CROP.width;
+    const v = (y - CROP.y) / CROP.height;
+    switch (rotation) {
+        case 90: return [v, u];
+        case 180: return [1 - u, v];
+        case 270: return [1 - v, 1 - u];
+        default: return [u, 1 - v];
+    }
+}
+
+function makeRotatedPdf(rotation) {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Hello) Tj 300 -400 Td (Other) Tj ET', (pdfDoc, page) => {
+        page.node.set(PDFName.of('CropBox'), pdfDoc.context.obj([CROP.x, CROP.y, CROP.x + CROP.width, CROP.y + CROP.height]));
+        page.setRotation(degrees(rotation));
+    });
+}
+
+for (const rotation of [0, 90, 180, 270]) {
+    test(`viewport boxes land on the right text with /Rotate ${rotation} and an offset CropBox`, async () => {
+        const [viewportWidth, viewportHeight] = rotation % 180 === 0 ? [500, 600] : [600, 500];
+        const [u1, v1] = toDisplay(rotation, HELLO.minX, HELLO.minY);
+        const [u2, v2] = toDisplay(rotation, HELLO.maxX, HELLO.maxY);
+        const redaction = {
+            pageIndex: 0,
+            x: Math.min(u1, u2) * viewportWidth,
+            y: Math.min(v1, v2) * viewportHeight,
+            width: Math.abs(u2 - u1) * viewportWidth,
+            height: Math.abs(v2 - v1) * viewportHeight,
+            viewportWidth,
+            viewportHeight
+        };
+
+        const pdfContent = (await makeRotatedPdf(rotation)).toString('base64');
+        const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction] });
+        assert.equal(response.status, 200);
+        const content = await pageContent(response.json.redactedPdfBase64);
+        assert.doesNotMatch(content, /Hello/);
+        assert.match(content, /Other/);
+        assert.equal(response.json.verified, true);
+    });
+}
+
+test('viewport size defaults to the displayed page', async () => {
+    const pdfContent = (await makeRotatedPdf(90)).toString('base64');
+    const [u1, v1] = toDisplay(90, HELLO.minX, HELLO.minY);
+    const [u2, v2] = toDisplay(90, HELLO.maxX, HELLO.maxY);
+    const redaction = { pageIndex: 0, x: Math.min(u1, u2) * 600, y: Math.min(v1, v2) * 500, width: Math.abs(u2 - u1) * 600, height: Math.abs(v2 - v1) * 500 };
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction] });
+    assert.doesNotMatch(await pageContent(response.json.redactedPdfBase64), /Hello/);
+});
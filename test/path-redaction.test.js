@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseContentStream } = require('../server');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// A box in PDF points, from x 150 to 200 over the whole page height
+const STRIP = { pageIndex: 0, units: 'pt', x: 150, y: 0, width: 50, height: 800 };
+
+/**
+ * Operations of the page's own content after redacting it: pdf-lib wraps it in q ... Q and draws the
+ * redaction boxes after it
+ */
+async function redactPaths(content, redaction = STRIP) {
+    const pdfContent = (await makePdf(content)).toString('base64');
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction] });
+    assert.equal(response.status, 200);
+    const [wrapper, ...operations] = parseContentStream(await pageContent(response.json.redactedPdfBase64));
+    assert.equal(wrapper.operator, 'q');
+    let depth = 0;
+    const own = [];
+    for (const { operator, operands } of operations) {
+        depth += operator === 'q' ? 1 : operator === 'Q' ? -1 : 0;
+        if (depth < 0) {
+            break;
+        }
+        own.push([operator, ...operands.map(operand => Math.round(operand.value * 100) / 100)]);
+    }
+    return own;
+}
+
+// The polygons of m/l/h operations, as point lists
+function polygons(operations) {
+    const result = [];
+    for (const [operator, ...operands] of operations) {
+        if (operator === 'm') {
+            result.push([operands]);
+        } else if (operator === 'l') {
+            result[result.length - 1].push(operands);
+        }
+    }
+    return result;
+}
+
+// Area enclosed by a polygon
+function polygonArea(points) {
+    let area = 0;
+    points.forEach(([x1, y1], index) => {
+        const [x2, y2] = points[(index + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(area) / 2;
+}
+
+test('paths entirely inside the box are dropped', async () => {
+    const operations = await redactPaths('0 0 1 rg 160 600 30 30 re f 300 600 m 400 600 l S');
+    assert.deepEqual(operations, [['rg', 0, 0, 1], ['m', 300, 600], ['l', 400, 600], ['S']]);
+});
+
+test('fills crossing the box keep only the parts outside it', async () => {
+    const operations = await redactPaths('100 600 200 100 re f');
+    assert.equal(operations[operations.length - 1][0], 'f');
+    const pieces = polygons(operations);
+    for (const [x] of pieces.flat()) {
+        assert.ok(x <= 150 || x >= 200, `point at x ${x} is inside the box`);
+    }
+    assert.equal(pieces.reduce((sum, piece) => sum + polygonArea(piece), 0), 200 * 100 - 50 * 100);
+});
+
+test('strokes crossing the box are cut at its edges', async () => {
+    const operations = await redactPaths('100 650 m 300 650 l S');
+    assert.deepEqual(operations, [['m', 100, 650], ['l', 150, 650], ['m', 200, 650], ['l', 300, 650], ['S']]);
+});
+
+test('filled and stroked paths are cut and painted separately', async () => {
+    const operations = await redactPaths('100 600 200 100 re B');
+    assert.deepEqual(operations.filter(([operator]) => operator === 'f' || operator === 'S'), [['f'], ['S']]);
+});
+
+test('paths are cut in device space and written back in their own coordinates', async () => {
+    // Drawn at twice the size, so the box cuts user space x 75 to 100
+    const operations = await redactPaths('q 2 0 0 2 0 0 cm 50 300 100 50 re f Q');
+    const pieces = polygons(operations);
+    assert.ok(pieces.length > 0);
+    for (const [x] of pieces.flat()) {
+        assert.ok(x <= 75 || x >= 100, `point at x ${x} is inside the box`);
+    }
+    assert.equal(pieces.reduce((sum, piece) => sum + polygonArea(piece), 0), 100 * 50 - 25 * 50);
+});
+
+test('paths away from the box and clipping paths are left alone', async () => {
+    const content = '300 600 100 100 re f 100 100 400 600 re W n 100 650 m 300 650 l S';
+    const operations = await redactPaths(content, { ...STRIP, y: 0, height: 50 });
+    assert.deepEqual(operations.map(([operator]) => operator), ['re', 'f', 're', 'W', 'n', 'm', 'l', 'S']);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// A page with each string on a line of its own, from the top down
+async function detect(lines, options = {}) {
+    const escape = line => line.replace(/[()\\]/g, '\\$&');
+    const content = `BT /F1 10 Tf 50 760 Td 14 TL ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+    const response = await server.post('/api/detect-pii', { pdfContent: (await makePdf(content)).toString('base64'), ...options });
+    assert.equal(response.status, 200);
+    return response.json.candidates;
+}
+
+// The texts found of one type
+async function found(type, lines) {
+    const candidates = await detect(lines, { types: [type] });
+    return candidates.map(candidate => candidate.text);
+}
+
+test('social security numbers outside the issued ranges are rejected', async () => {
+    assert.deepEqual(await found('ssn', ['SSN: 123-45-6789', '000-12-3456', '666-12-3456', '912-12-3456', '123-00-4567', '123-45-0000']), ['123-45-6789']);
+});
+
+test('labelled social security numbers rate higher than bare ones', async () => {
+    // Labels are looked for just before the number, which takes in the end of the line above
+    const [bare, labelled] = await detect(['Ref 234-56-7890', 'SSN: 123-45-6789'], { types: ['ssn'] });
+    assert.ok(labelled.confidence > bare.confidence);
+});
+
+test('card numbers must pass the Luhn check', async () => {
+    assert.deepEqual(await found('creditCard', [
+        'Visa 4111 1111 1111 1111',
+        'Typo 4111 1111 1111 1112',
+        'Amex 3782-822463-10005',
+        'Zeros 0000 0000 0000 0000'
+    ]), ['4111 1111 1111 1111', '3782-822463-10005']);
+});
+
+test('IBANs must pass the mod-97 checksum', async () => {
+    assert.deepEqual(await found('iban', [
+        'GB82 WEST 1234 5698 7654 32',
+        'GB82 WEST 1234 5698 7654 33',
+        'DE89370400440532013000',
+        'DE89370400440532013001'
+    ]), ['GB82 WEST 1234 5698 7654 32', 'DE89370400440532013000']);
+});
+
+test('birth dates must be real past dates', async () => {
+    assert.deepEqual(await found('dateOfBirth', [
+        'DOB: 02/29/1988',
+        'DOB: 02/29/1989',
+        'DOB: 02/30/1988',
+        'DOB: 13/13/1990',
+        'DOB: 01/01/2999',
+        'DOB: 01/01/1850',
+        'Born 5 March 1975',
+        'Date of birth: 1975-04-31'
+    ]), ['02/29/1988', '5 March 1975']);
+});
+
+test('dates without a label are only low-confidence birth dates', async () => {
+    const [bare, labelled] = await detect(['Meeting on 04/12/1975', 'DOB: 04/12/1975'], { types: ['dateOfBirth'] });
+    assert.equal(labelled.confidence, 0.9);
+    assert.equal(bare.confidence, 0.3);
+    assert.deepEqual(await detect(['Meeting on 04/12/1975'], { types: ['dateOfBirth'], minConfidence: 0.5 }), []);
+});
+
+test('email addresses, phone numbers and IP addresses are found', async () => {
+    assert.deepEqual(await found('email', ['Mail jane.doe@example.com', 'jane@localhost']), ['jane.doe@example.com']);
+    assert.deepEqual(await found('phone', ['Phone: (555) 123-4567', 'Mobile +44 20 7946 0958', 'Ext 123']), ['(555) 123-4567', '+44 20 7946 0958']);
+    assert.deepEqual(await found('ipAddress', ['Host 192.168.1.10', 'Version 999.1.1.1', 'Server 2001:db8::1']), ['192.168.1.10', '2001:db8::1']);
+});
+
+test('passport and licence numbers need a label unless their format stands out', async () => {
+    assert.deepEqual(await found('passport', ['Order 987654321', 'Passport: C12345678', 'Passport no. 123456789']), ['C12345678', '123456789']);
+    assert.deepEqual(await found('driversLicense', ['S530-4601-2345', 'Invoice 12345678', "Driver's license D12345678"]), ['S530-4601-2345', 'D12345678']);
+});
+
+test('overlapping candidates keep the most confident type', async () => {
+    const candidates = await detect(['SSN: 123-45-6789']);
+    assert.deepEqual(candidates.map(candidate => candidate.type), ['ssn']);
+});
+
+test('unknown PII types are rejected', async () => {
+    const response = await server.post('/api/detect-pii', { pdfContent: (await makePdf('')).toString('base64'), types: ['ssn', 'shoeSize'] });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.json.unknownTypes, ['shoeSize']);
+});
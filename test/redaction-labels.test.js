@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { parseContentStream } = require('../server');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+let font;
+
+before(async () => {
+    server = await startServer();
+    font = await (await PDFDocument.create()).embedFont(StandardFonts.HelveticaBold);
+});
+
+after(() => server.close());
+
+/**
+ * Redact one box (in points) with the given appearance and return the labels drawn on it:
+ * [{ text, size, matrix }] from the operations inside the label's marked content
+ */
+async function drawLabels(rect, appearance, rotate = 0) {
+    const pdf = await makePdf('', (pdfDoc, page) => {
+        page.node.set(PDFName.of('Rotate'), pdfDoc.context.obj(rotate));
+    });
+    const response = await server.post('/api/submit-redactions', {
+        pdfContent: pdf.toString('base64'),
+        redactions: [{ pageIndex: 0, units: 'pt', ...rect, appearance }]
+    });
+    assert.equal(response.status, 200);
+
+    const labels = [];
+    let inLabel = false;
+    let size = 0;
+    let matrix = null;
+    for (const { operator, operands } of parseContentStream(await pageContent(response.json.redactedPdfBase64))) {
+        if (operator === 'BDC' && operands[0].value === 'Artifact') {
+            inLabel = true;
+        } else if (operator === 'EMC') {
+            inLabel = false;
+        } else if (inLabel && operator === 'Tf') {
+            size = operands[1].value;
+        } else if (inLabel && operator === 'Tm') {
+            matrix = operands.map(operand => operand.value);
+        } else if (inLabel && operator === 'Tj') {
+            labels.push({ text: operands[0].value, size, matrix });
+        }
+    }
+    return labels;
+}
+
+// Corners of a label's text box on the page, from its descent to its cap height
+function labelCorners({ text, size, matrix }) {
+    const width = font.widthOfTextAtSize(text, size);
+    const height = font.heightAtSize(size);
+    const descent = height - font.heightAtSize(size, { descender: false });
+    const [a, b, c, d, e, f] = matrix;
+    return [[0, -descent], [width, -descent], [width, height - descent], [0, height - descent]]
+        .map(([u, v]) => [a * u + c * v + e, b * u + d * v + f]);
+}
+
+function assertInside(label, rect) {
+    for (const [x, y] of labelCorners(label)) {
+        assert.ok(x >= rect.x - 0.01 && x <= rect.x + rect.width + 0.01, `x ${x} outside ${rect.x}..${rect.x + rect.width}`);
+        assert.ok(y >= rect.y - 0.01 && y <= rect.y + rect.height + 0.01, `y ${y} outside ${rect.y}..${rect.y + rect.height}`);
+    }
+}
+
+test('labels that fit keep the default size, centered in the box', async () => {
+    const rect = { x: 100, y: 100, width: 300, height: 60 };
+    const [label] = await drawLabels(rect, { overlayText: 'WITHHELD' });
+    assert.equal(label.text, 'WITHHELD');
+    assert.equal(label.size, 24);
+    assertInside(label, rect);
+    const [[left], [right]] = labelCorners(label);
+    assert.ok(Math.abs((left - rect.x) - (rect.x + rect.width - right)) < 0.01);
+});
+
+test('labels shrink to the width of narrow boxes', async () => {
+    const rect = { x: 100, y: 100, width: 60, height: 40 };
+    const [label] = await drawLabels(rect, { overlayText: 'CONFIDENTIAL' });
+    assert.ok(label.size < 24);
+    assertInside(label, rect);
+    // The width is what limits it, so the label spans the box but for the padding
+    const [[left], [right]] = labelCorners(label);
+    assert.ok(right - left > rect.width - 5);
+});
+
+test('labels shrink to the height of short boxes', async () => {
+    const rect = { x: 100, y: 100, width: 300, height: 10 };
+    const [label] = await drawLabels(rect, { overlayText: 'WITHHELD' });
+    assert.ok(label.size < 10);
+    assertInside(label, rect);
+});
+
+test('a requested font size is an upper bound', async () => {
+    const rect = { x: 100, y: 100, width: 60, height: 40 };
+    const [large] = await drawLabels({ x: 100, y: 100, width: 300, height: 60 }, { overlayText: 'WITHHELD', fontSize: 12 });
+    assert.equal(large.size, 12);
+    const [small] = await drawLabels(rect, { overlayText: 'CONFIDENTIAL', fontSize: 40 });
+    assertInside(small, rect);
+});
+
+test('labels are left off boxes too small to read them', async () => {
+    assert.deepEqual(await drawLabels({ x: 100, y: 100, width: 20, height: 4 }, { overlayText: 'CONFIDENTIAL' }), []);
+});
+
+test('repeated labels wrap onto the rows and columns that fit the box', async () => {
+    const rect = { x: 100, y: 100, width: 200, height: 60 };
+    const labels = await drawLabels(rect, { overlayText: 'PII', repeat: true });
+    const columns = new Set(labels.map(label => label.matrix[4].toFixed(2)));
+    const rows = new Set(labels.map(label => label.matrix[5].toFixed(2)));
+    assert.ok(columns.size > 1 && rows.size > 1, `${columns.size} columns, ${rows.size} rows`);
+    assert.equal(labels.length, columns.size * rows.size);
+    labels.forEach(label => assertInside(label, rect));
+});
+
+test('a repeated label too long for one row still shrinks to fit', async () => {
+    const rect = { x: 100, y: 100, width: 60, height: 20 };
+    const labels = await drawLabels(rect, { overlayText: 'CONFIDENTIAL', repeat: true });
+    assert.ok(labels.length > 0);
+    labels.forEach(label => assertInside(label, rect));
+});
+
+test('labels on rotated pages fit the box as it is displayed', async () => {
+    // Tall in user space, wide once the page is turned
+    const rect = { x: 100, y: 100, width: 30, height: 200 };
+    const [label] = await drawLabels(rect, { overlayText: 'WITHHELD' }, 90);
+    assert.deepEqual(label.matrix.slice(0, 4).map(value => Math.round(value)), [0, 1, -1, 0]);
+    assertInside(label, rect);
+});
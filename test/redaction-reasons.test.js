@@ -0,0 +1,93 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+afterEach(() => {
+    delete process.env.REDACTION_REASONS;
+});
+
+const AREA = { pageIndex: 0, x: 10, y: 10, width: 50, height: 20 };
+
+async function validate(redactions, body = {}) {
+    const response = await server.post('/api/validate-redactions', { redactions, ...body });
+    assert.equal(response.status, 200);
+    return response.json.validationResults;
+}
+
+test('exemption codes are looked up in the default reasons', async () => {
+    const [known, padded, unknown, blank] = await validate([
+        { ...AREA, exemptionCode: '(b)(6)' },
+        { ...AREA, exemptionCode: ' PII ' },
+        { ...AREA, exemptionCode: '(b)(10)' },
+        { ...AREA, exemptionCode: '  ' }
+    ]);
+    assert.deepEqual([known.valid, known.errors, known.warnings], [true, [], []]);
+    assert.deepEqual([padded.valid, padded.errors], [true, []]);
+    assert.equal(unknown.valid, false);
+    assert.deepEqual(unknown.errors, ['Unknown exemptionCode "(b)(10)"']);
+    assert.deepEqual(blank.errors, ['Invalid exemptionCode, expected a non-empty string']);
+});
+
+test('exemption codes are looked up in REDACTION_REASONS when it is set', async () => {
+    process.env.REDACTION_REASONS = JSON.stringify([{ code: 'HR-1', label: 'Personnel file' }, 'HR-2']);
+    const [configured, plain, builtIn] = await validate([
+        { ...AREA, exemptionCode: 'HR-1' },
+        { ...AREA, exemptionCode: 'HR-2' },
+        { ...AREA, exemptionCode: '(b)(6)' }
+    ]);
+    assert.equal(configured.valid, true);
+    assert.equal(plain.valid, true);
+    assert.deepEqual(builtIn.errors, ['Unknown exemptionCode "(b)(6)"']);
+});
+
+test('the request can restrict the exemption codes', async () => {
+    const [allowed, other] = await validate([
+        { ...AREA, exemptionCode: 'X1' },
+        { ...AREA, exemptionCode: '(b)(6)' }
+    ], { exemptionCodes: ['X1'] });
+    assert.equal(allowed.valid, true);
+    assert.deepEqual(other.errors, ['Unknown exemptionCode "(b)(6)"']);
+});
+
+test('a missing reason is fine unless a reason list is configured', async () => {
+    const [unconfigured] = await validate([AREA]);
+    assert.deepEqual([unconfigured.valid, unconfigured.warnings], [true, []]);
+
+    const [restricted] = await validate([AREA], { exemptionCodes: ['X1'] });
+    assert.deepEqual([restricted.valid, restricted.warnings], [true, ['No reason or exemptionCode given']]);
+
+    process.env.REDACTION_REASONS = JSON.stringify(['HR-1']);
+    const [configured] = await validate([AREA]);
+    assert.deepEqual([configured.valid, configured.warnings], [true, ['No reason or exemptionCode given']]);
+});
+
+test('requireReason turns a missing reason into an error', async () => {
+    const [missing, reason, code, blank] = await validate([
+        AREA,
+        { ...AREA, reason: 'Home address' },
+        { ...AREA, exemptionCode: 'PII' },
+        { ...AREA, reason: '   ' }
+    ], { requireReason: true });
+    assert.equal(missing.valid, false);
+    assert.deepEqual(missing.errors, ['Missing reason or exemptionCode']);
+    assert.deepEqual([reason.valid, reason.errors], [true, []]);
+    assert.deepEqual([code.valid, code.errors], [true, []]);
+    assert.deepEqual(blank.errors, ['Missing reason or exemptionCode']);
+});
+
+test('reasons must be strings of limited length', async () => {
+    const [number, long] = await validate([
+        { ...AREA, reason: 42 },
+        { ...AREA, reason: 'x'.repeat(10000) }
+    ]);
+    assert.deepEqual(number.errors, ['Invalid reason, expected a string']);
+    assert.match(long.errors[0], /^Reason is longer than \d+ characters$/);
+});
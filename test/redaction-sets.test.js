@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+// "Hello" in PDF points
+const HELLO = { pageIndex: 0, x: 95, y: 645, width: 33, height: 17, units: 'pt' };
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makePdf('BT /F1 12 Tf 100 650 Td (Hello Secret) Tj ET')).toString('base64');
+});
+
+after(() => server.close());
+
+test('JSON redaction sets round-trip into redactions that apply', async () => {
+    const exported = await server.post('/api/export-redactions', { pdfContent, redactions: [{ ...HELLO, exemptionCode: 'b(6)' }] });
+    assert.equal(exported.status, 200);
+    const { redactionSet } = exported.json;
+    assert.equal(redactionSet.units, 'pt');
+    assert.deepEqual(redactionSet.redactions, [{ pageIndex: 0, rect: [95, 645, 128, 662], exemptionCode: 'b(6)' }]);
+
+    const imported = await server.post('/api/import-redactions', { pdfContent, redactionSet });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.json.redactions[0].units, 'normalized');
+    assert.equal(imported.json.redactions[0].exemptionCode, 'b(6)');
+
+    const redacted = await server.post('/api/submit-redactions', { pdfContent, redactions: imported.json.redactions });
+    const content = await pageContent(redacted.json.redactedPdfBase64);
+    assert.doesNotMatch(content, /Hello/);
+    assert.match(content, /Secret/);
+});
+
+test('XFDF carries the rectangle, label and reason', async () => {
+    const exported = await server.post('/api/export-redactions', { pdfContent, format: 'xfdf', redactions: [{ ...HELLO, reason: 'privacy', exemptionCode: 'b(6)' }] });
+    assert.match(exported.json.xfdf, /<redact page="0" rect="95,645,128,662"[^>]* overlay-text="b\(6\)"/);
+    assert.match(exported.json.xfdf, /<contents>privacy<\/contents>/);
+
+    const imported = await server.post('/api/import-redactions', { pdfContent, xfdf: exported.json.xfdf });
+    assert.equal(imported.status, 200);
+    const [redaction] = imported.json.redactions;
+    assert.equal(redaction.reason, 'privacy');
+    assert.deepEqual(redaction.appearance, { overlayText: 'b(6)' });
+    assert.deepEqual([redaction.x, redaction.y, redaction.width, redaction.height].map(value => +value.toFixed(4)), [0.1583, 0.1725, 0.055, 0.0213]);
+});
+
+test('redactions on pages the PDF does not have are skipped', async () => {
+    const redactionSet = { format: 'redaction-set', version: 1, units: 'pt', redactions: [{ pageIndex: 0, rect: [95, 645, 128, 662] }, { pageIndex: 4, rect: [0, 0, 10, 10] }] };
+    const imported = await server.post('/api/import-redactions', { pdfContent, redactionSet });
+    assert.equal(imported.json.redactionCount, 1);
+    assert.equal(imported.json.skipped, 1);
+});
+
+test('bad requests are rejected', async () => {
+    assert.equal((await server.post('/api/export-redactions', { pdfContent, format: 'csv' })).status, 400);
+    assert.equal((await server.post('/api/import-redactions', { pdfContent })).status, 400);
+    assert.equal((await server.post('/api/import-redactions', { pdfContent, xfdf: '<xfdf/>', redactionSet: {} })).status, 400);
+    const invalid = await server.post('/api/import-redactions', { pdfContent, redactionSet: { redactions: 'none' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.error, 'Invalid redaction set');
+});
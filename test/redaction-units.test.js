@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makePdf('BT /F1 12 Tf 100 650 Td (Hello Secret) Tj ET')).toString('base64');
+});
+
+after(() => server.close());
+
+// "Hello" on the 600x800 page, in each of the units a redaction can use
+const HELLO = {
+    viewport: { x: 190, y: 276, width: 66, height: 34, viewportWidth: 1200, viewportHeight: 1600 },
+    pt: { x: 95, y: 645, width: 33, height: 17, units: 'pt' },
+    ptFromOppositeCorner: { x: 128, y: 662, width: -33, height: -17, units: 'pt' },
+    normalized: { x: 95 / 600, y: 138 / 800, width: 33 / 600, height: 17 / 800, units: 'normalized' }
+};
+
+for (const [name, redaction] of Object.entries(HELLO)) {
+    test(`${name} coordinates redact the same text`, async () => {
+        const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [{ pageIndex: 0, ...redaction }] });
+        assert.equal(response.status, 200);
+        const content = await pageContent(response.json.redactedPdfBase64);
+        assert.doesNotMatch(content, /Hello/);
+        assert.match(content, /Secret/);
+    });
+}
+
+test('unknown units are rejected before anything is redacted', async () => {
+    const redactions = [{ pageIndex: 0, ...HELLO.pt }, { pageIndex: 0, ...HELLO.pt, units: 'inches' }];
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions });
+    assert.equal(response.status, 400);
+    assert.equal(response.json.error, 'Invalid redaction units');
+    assert.match(response.json.message, /Redaction 1 has units "inches"/);
+});
+
+test('validation checks each redaction in its own units', async () => {
+    const redactions = [
+        { pageIndex: 0, ...HELLO.pt },
+        { pageIndex: 0, ...HELLO.pt, units: 'inches' },
+        { pageIndex: 0, ...HELLO.normalized, x: 0.99 },
+        { pageIndex: 0, ...HELLO.pt, x: 590 }
+    ];
+    const response = await server.post('/api/validate-redactions', { pdfContent, redactions });
+    assert.equal(response.status, 200);
+    const [points, unknown, normalized, outside] = response.json.validationResults;
+    assert.equal(points.valid, true);
+    assert.deepEqual(points.warnings, []);
+    assert.equal(unknown.valid, false);
+    assert.match(unknown.errors[0], /Invalid units "inches"/);
+    assert.match(normalized.warnings[0], /beyond page width/);
+    assert.match(outside.warnings[0], /beyond page width \(0 to 600 pt\)/);
+});
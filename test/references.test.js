@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFDict, PDFName, PDFString } = require('pdf-lib');
+const { makePdf, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+// "John" runs from x 144.7 to 170.7 and "Smith" from 174.0 to 204.7 on the first page
+const JOHN_SMITH = { pageIndex: 0, x: 143, y: 645, width: 63, height: 17, units: 'pt' };
+const JOHN_AND_PART_OF_SMITH = { pageIndex: 0, x: 143, y: 645, width: 42, height: 17, units: 'pt' };
+
+// Bookmarks, named destinations and page labels on both pages; only the first page is redacted
+function makeReferencedPdf() {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Contact John Smith here) Tj ET', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const second = pdfDoc.addPage([600, 800]);
+        second.node.set(PDFName.of('Resources'), page.node.get(PDFName.of('Resources')));
+        second.node.set(PDFName.of('Contents'), context.register(context.stream('BT /F1 12 Tf 100 650 Td (John again) Tj ET')));
+
+        const outlinesRef = context.nextRef();
+        const titles = [['John Smith profile', page], ['Johnson report', page], ['Smith notes', page], ['John on page two', second]];
+        const itemRefs = titles.map(() => context.nextRef());
+        titles.forEach(([title, target], index) => {
+            context.assign(itemRefs[index], context.obj({
+                Title: PDFString.of(title),
+                Parent: outlinesRef,
+                ...(index > 0 ? { Prev: itemRefs[index - 1] } : {}),
+                ...(index < titles.length - 1 ? { Next: itemRefs[index + 1] } : {}),
+                Dest: [target.ref, 'Fit']
+            }));
+        });
+        context.assign(outlinesRef, context.obj({ Type: 'Outlines', First: itemRefs[0], Last: itemRefs[itemRefs.length - 1], Count: titles.length }));
+        pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+
+        pdfDoc.catalog.set(PDFName.of('Names'), context.obj({
+            Dests: context.obj({ Names: [PDFString.of('John-details'), context.obj([page.ref, 'Fit']), PDFString.of('John-later'), context.obj([second.ref, 'Fit'])] })
+        }));
+        pdfDoc.catalog.set(PDFName.of('PageLabels'), context.obj({
+            Nums: [0, context.obj({ S: 'D', P: PDFString.of('John ') }), 1, context.obj({ S: 'D', P: PDFString.of('John ') })]
+        }));
+    });
+}
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makeReferencedPdf()).toString('base64');
+});
+
+after(() => server.close());
+
+async function readReferences(base64) {
+    const pdfDoc = await PDFDocument.load(Buffer.from(base64, 'base64'));
+    const titles = [];
+    const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'), PDFDict);
+    for (let item = outlines.lookup(PDFName.of('First')); item instanceof PDFDict; item = item.lookup(PDFName.of('Next'))) {
+        titles.push(item.lookup(PDFName.of('Title')).decodeText());
+    }
+    const names = pdfDoc.catalog.lookup(PDFName.of('Names'), PDFDict).lookup(PDFName.of('Dests'), PDFDict).lookup(PDFName.of('Names'));
+    const destinations = names.asArray().filter((value, index) => index % 2 === 0).map(name => pdfDoc.context.lookup(name).decodeText());
+    const nums = pdfDoc.catalog.lookup(PDFName.of('PageLabels'), PDFDict).lookup(PDFName.of('Nums'));
+    const labels = [nums.lookup(1).lookup(PDFName.of('P')).decodeText(), nums.lookup(3).lookup(PDFName.of('P')).decodeText()];
+    return { titles, destinations: destinations.sort(), labels };
+}
+
+async function redact(redaction, redactionOptions) {
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [redaction], redactionOptions });
+    assert.equal(response.status, 200);
+    return response.json;
+}
+
+test('removed words are scrubbed from the references to the redacted page only', async () => {
+    const result = await redact(JOHN_SMITH);
+    const references = await readReferences(result.redactedPdfBase64);
+    assert.deepEqual(references.titles, ['[REDACTED] profile', 'Johnson report', '[REDACTED] notes', 'John on page two']);
+    assert.deepEqual(references.destinations, ['John-later', 'redacted-destination-1']);
+    assert.deepEqual(references.labels, ['[REDACTED] ', 'John ']);
+    assert.equal(result.references.enabled, true);
+    assert.equal(result.references.outlineItems, 2);
+});
+
+test('words cut by the edge of the box are not scrubbed', async () => {
+    const references = await readReferences((await redact(JOHN_AND_PART_OF_SMITH)).redactedPdfBase64);
+    assert.deepEqual(references.titles, ['[REDACTED] Smith profile', 'Johnson report', 'Smith notes', 'John on page two']);
+});
+
+test('scrubReferences: false leaves the references alone', async () => {
+    const result = await redact(JOHN_SMITH, { scrubReferences: false });
+    assert.deepEqual(result.references, { enabled: false });
+    assert.deepEqual(await readReferences(result.redactedPdfBase64), await readReferences(pdfContent));
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { box, makePdf, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makePdf('BT /F1 12 Tf 100 650 Td (Secret) Tj ET', pdfDoc => {
+        pdfDoc.setAuthor('Case Officer');
+        pdfDoc.addJavaScript('hello', 'app.alert("hi")');
+    })).toString('base64');
+});
+
+after(() => server.close());
+
+test('service info documents the sanitization defaults', async () => {
+    const response = await fetch(`${server.url}/api/service-info`);
+    const { redactionDefaults } = await response.json();
+    assert.deepEqual(redactionDefaults, {
+        metadata: { info: 'remove', xmp: 'remove', documentId: 'regenerate', pieceInfo: 'remove' },
+        activeContent: 'keep',
+        optionalContent: 'keep',
+        scrubReferences: true
+    });
+});
+
+test('responses say when the default policies were applied', async () => {
+    const response = await server.post('/api/submit-redactions', { pdfContent, redactions: [box(95, 135, 100, 20)] });
+    assert.equal(response.json.sanitization.defaultApplied, true);
+    assert.equal(response.json.sanitization.policy.info, 'remove');
+    assert.deepEqual(response.json.sanitization.infoEntriesRemoved.includes('Author'), true);
+    assert.equal(response.json.activeContent.defaultApplied, true);
+    assert.equal(response.json.activeContent.policy, 'keep');
+    assert.equal(response.json.activeContent.removedCount, 0);
+
+    const redacted = await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+    assert.equal(redacted.getAuthor(), undefined);
+});
+
+test('responses report policies the request chose', async () => {
+    const response = await server.post('/api/submit-redactions', {
+        pdfContent,
+        redactions: [box(95, 135, 100, 20)],
+        redactionOptions: { metadata: 'keep', activeContent: 'remove' }
+    });
+    assert.equal(response.json.sanitization.defaultApplied, false);
+    assert.equal(response.json.sanitization.policy.info, 'keep');
+    assert.equal(response.json.activeContent.defaultApplied, false);
+    assert.equal(response.json.activeContent.policy, 'remove');
+    assert.ok(response.json.activeContent.removed.some(item => item.type === 'javascript'));
+
+    const redacted = await PDFDocument.load(Buffer.from(response.json.redactedPdfBase64, 'base64'));
+    assert.equal(redacted.getAuthor(), 'Case Officer');
+});
+
+test('downloads report the policies in headers', async () => {
+    const response = await server.post('/redact-and-download', { contentBase64: pdfContent, redactions: [box(95, 135, 100, 20)] });
+    assert.equal(response.headers.get('X-Metadata-Policy'), 'info=remove; xmp=remove; pieceInfo=remove; documentId=regenerate; default=true');
+    assert.equal(response.headers.get('X-Active-Content-Policy'), 'keep; default=true');
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+let pdfContent;
+
+before(async () => {
+    server = await startServer();
+    pdfContent = (await makePdf([
+        'BT /F1 12 Tf 100 700 Td (Contact John Smith on 555-0134.) Tj ET',
+        'BT /F1 12 Tf 100 600 Td (Smithson and john) Tj ET',
+        'BT /F1 12 Tf 100 500 Td (Account John) Tj 0 -14 Td (Smith closed) Tj ET'
+    ].join(' '))).toString('base64');
+});
+
+after(() => server.close());
+
+async function preview(body) {
+    const response = await server.post('/api/search-redact', { pdfContent, mode: 'preview', ...body });
+    assert.equal(response.status, 200);
+    return response.json.matches.map(match => match.text);
+}
+
+test('terms match case-insensitively by default, and across a line break', async () => {
+    assert.deepEqual(await preview({ terms: ['john smith'] }), ['John Smith', 'John\nSmith']);
+    assert.deepEqual(await preview({ terms: [{ text: 'John', caseSensitive: true }] }), ['John', 'John']);
+});
+
+test('wholeWord skips matches inside longer words', async () => {
+    assert.deepEqual(await preview({ terms: ['Smith'] }), ['Smith', 'Smith', 'Smith']);
+    assert.deepEqual(await preview({ terms: ['Smith'], wholeWord: true }), ['Smith', 'Smith']);
+});
+
+test('patterns are regular expressions', async () => {
+    assert.deepEqual(await preview({ patterns: ['\\d{3}-\\d{4}'] }), ['555-0134']);
+});
+
+test('preview returns match boxes without a document', async () => {
+    const response = await server.post('/api/search-redact', { pdfContent, mode: 'preview', patterns: ['\\d{3}-\\d{4}'] });
+    assert.equal(response.json.redactedPdfBase64, undefined);
+    const [match] = response.json.matches;
+    assert.equal(match.pageIndex, 0);
+    assert.equal(match.boxes.length, 1);
+    assert.ok(match.boxes[0].x > 100 && match.boxes[0].normalized.width > 0);
+});
+
+test('every match is redacted', async () => {
+    const response = await server.post('/api/search-redact', { pdfContent, terms: ['John Smith'], patterns: ['\\d{3}-\\d{4}'] });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.matchCount, 3);
+    assert.equal(response.json.verified, true);
+    const content = await pageContent(response.json.redactedPdfBase64);
+    assert.doesNotMatch(content, /555|John|Smith(?!son)/);
+    assert.match(content, /Smithson and john/);
+});
+
+test('bad requests are rejected', async () => {
+    assert.equal((await server.post('/api/search-redact', { pdfContent })).status, 400);
+    assert.equal((await server.post('/api/search-redact', { pdfContent, terms: ['x'], mode: 'erase' })).status, 400);
+    const invalid = await server.post('/api/search-redact', { pdfContent, patterns: ['(unclosed'] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.error, 'Invalid search pattern');
+});
+
+test('oversized searches are rejected', async () => {
+    const long = await server.post('/api/search-redact', { pdfContent, patterns: ['a'.repeat(501)] });
+    assert.equal(long.status, 400);
+    assert.match(long.json.message, /longer than 500 characters/);
+    const many = await server.post('/api/search-redact', { pdfContent, terms: Array.from({ length: 51 }, (value, index) => `term${index}`) });
+    assert.equal(many.status, 400);
+    assert.match(many.json.message, /At most 50/);
+});
+
+test('a pattern that backtracks without end is stopped', async () => {
+    const slowPdf = (await makePdf(`BT /F1 12 Tf 50 700 Td (${'a'.repeat(40)}b) Tj ET`)).toString('base64');
+    const started = Date.now();
+    const response = await server.post('/api/search-redact', { pdfContent: slowPdf, mode: 'preview', patterns: ['(a+)+$'] });
+    assert.equal(response.status, 400);
+    assert.equal(response.json.error, 'Search took too long');
+    assert.ok(Date.now() - started < 10000);
+});
+
+test('labels on redaction boxes are not matched again', async () => {
+    const redacted = await server.post('/api/search-redact', { pdfContent, terms: ['Contact'], redactionOptions: { appearance: { overlayText: 'WITHHELD' } } });
+    const response = await server.post('/api/search-redact', { pdfContent: redacted.json.redactedPdfBase64, mode: 'preview', terms: ['WITHHELD'] });
+    assert.equal(response.json.matchCount, 0);
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFHexString } = require('pdf-lib');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+const ALICE = { Authorization: 'Bearer alice-token' };
+const BOB = { Authorization: 'Bearer bob-token' };
+let server;
+let pdfContent;
+
+before(async () => {
+    process.env.REDACTION_USERS = JSON.stringify([{ name: 'Alice', token: 'alice-token' }, { name: 'Bob', token: 'bob-token' }]);
+    process.env.REDACTION_SIGNING_SECRET = 'test-secret';
+    server = await startServer();
+    pdfContent = (await makePdf('BT /F1 12 Tf 100 650 Td (Hello World) Tj 0 -100 Td (Secret Stuff) Tj ET')).toString('base64');
+});
+
+after(async () => {
+    await server.close();
+    delete process.env.REDACTION_USERS;
+    delete process.env.REDACTION_SIGNING_SECRET;
+    delete process.env.REDACTION_REQUIRE_APPROVAL;
+});
+
+async function mark(headers = ALICE) {
+    return server.post('/api/mark-redactions', { pdfContent, redactions: [box(95, 135, 100, 20), box(95, 235, 100, 20)] }, headers);
+}
+
+test('marking and reviewing require a configured user token', async () => {
+    assert.equal((await mark({})).status, 401);
+    assert.equal((await mark({ Authorization: 'Bearer wrong' })).status, 401);
+
+    const marked = await mark();
+    const review = await server.post('/api/review-redactions', { pdfContent: marked.json.markedPdfBase64, state: 'Accepted' });
+    assert.equal(review.status, 401);
+});
+
+test('marks carry the authenticated user, not a name from the body', async () => {
+    const marked = await server.post('/api/mark-redactions', { pdfContent, markedBy: 'Bob', redactions: [box(95, 135, 100, 20)] }, ALICE);
+    assert.equal(marked.status, 200);
+    assert.equal(marked.json.annotations[0].markedBy, 'Alice');
+});
+
+test('nobody can sign off their own marks', async () => {
+    const marked = await mark();
+    const review = await server.post('/api/review-redactions', { pdfContent: marked.json.markedPdfBase64, state: 'Accepted' }, ALICE);
+    assert.ok(review.json.results.every(result => !result.applied));
+    assert.ok(review.json.annotations.every(annotation => annotation.status === 'pending'));
+});
+
+test('a second user signs off and the marks are applied', async () => {
+    const marked = await mark();
+    const [first, second] = marked.json.annotations.map(annotation => annotation.id);
+
+    const early = await server.post('/api/apply-redactions', { pdfContent: marked.json.markedPdfBase64 });
+    assert.equal(early.status, 409);
+
+    const review = await server.post('/api/review-redactions', {
+        pdfContent: marked.json.markedPdfBase64,
+        decisions: [{ id: first, state: 'Accepted' }, { id: second, state: 'Rejected' }]
+    }, BOB);
+    assert.deepEqual(review.json.annotations.map(annotation => [annotation.status, annotation.signOffs]), [
+        ['approved', ['Alice', 'Bob']],
+        ['rejected', ['Alice']]
+    ]);
+
+    const applied = await server.post('/api/apply-redactions', { pdfContent: review.json.reviewedPdfBase64 });
+    assert.equal(applied.status, 200);
+    assert.equal(applied.json.annotationsApplied, 1);
+    assert.equal(applied.json.annotationsRejected, 1);
+    const content = await pageContent(applied.json.redactedPdfBase64);
+    assert.doesNotMatch(content, /Hello/);
+    assert.match(content, /Secret Stuff/);
+});
+
+test('the requireApproval body flag no longer skips sign-off', async () => {
+    const marked = await mark();
+    const applied = await server.post('/api/apply-redactions', { pdfContent: marked.json.markedPdfBase64, requireApproval: false });
+    assert.equal(applied.status, 409);
+});
+
+test('REDACTION_REQUIRE_APPROVAL=false lets pending marks be applied', async () => {
+    process.env.REDACTION_REQUIRE_APPROVAL = 'false';
+    try {
+        const marked = await mark();
+        const applied = await server.post('/api/apply-redactions', { pdfContent: marked.json.markedPdfBase64 });
+        assert.equal(applied.status, 200);
+        assert.equal(applied.json.annotationsApplied, 2);
+    } finally {
+        delete process.env.REDACTION_REQUIRE_APPROVAL;
+    }
+});
+
+test('review replies written outside the server do not count', async () => {
+    const marked = await mark();
+    const pdfDoc = await PDFDocument.load(Buffer.from(marked.json.markedPdfBase64, 'base64'));
+    const page = pdfDoc.getPage(0);
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    // A forged acceptance by Bob, the way a viewer would write it
+    for (const ref of annots.asArray()) {
+        annots.push(pdfDoc.context.register(pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: 'Text',
+            Rect: [0, 0, 0, 0],
+            IRT: ref,
+            StateModel: 'Review',
+            State: PDFHexString.fromText('Accepted'),
+            T: PDFHexString.fromText('Bob'),
+            M: 'D:20260101000000Z'
+        })));
+    }
+    const forged = Buffer.from(await pdfDoc.save()).toString('base64');
+
+    const preview = await server.post('/api/apply-redactions', { pdfContent: forged, mode: 'preview' });
+    assert.equal(preview.json.pendingCount, 2);
+    assert.ok(preview.json.annotations.every(annotation => annotation.reviews.length === 1 && !annotation.reviews[0].verified));
+});
+
+test('moving a signed mark invalidates it', async () => {
+    const marked = await mark();
+    const pdfDoc = await PDFDocument.load(Buffer.from(marked.json.markedPdfBase64, 'base64'));
+    const annots = pdfDoc.getPage(0).node.lookup(PDFName.of('Annots'));
+    const annotation = pdfDoc.context.lookup(annots.get(0));
+    annotation.set(PDFName.of('QuadPoints'), pdfDoc.context.obj([0, 10, 10, 10, 0, 0, 10, 0]));
+    const moved = Buffer.from(await pdfDoc.save()).toString('base64');
+
+    const review = await server.post('/api/review-redactions', { pdfContent: moved, state: 'Accepted' }, BOB);
+    assert.equal(review.json.results.filter(result => result.applied).length, 1);
+    assert.deepEqual(review.json.annotations.map(annotation => annotation.verified), [false, true]);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFName } = require('pdf-lib');
+const { verifyRedactedPdf } = require('../server');
+const { box, makePdf, pageContent, startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+// Text at the top, a grey 8x8 image at 300..400 x 500..600, and a note over the text
+function makeLeakyPdf() {
+    return makePdf('BT /F1 12 Tf 100 650 Td (Secret words) Tj ET q 100 0 0 100 300 500 cm /Im1 Do Q', (pdfDoc, page) => {
+        const context = pdfDoc.context;
+        const image = context.register(context.flateStream(new Uint8Array(64).fill(200), {
+            Type: 'XObject', Subtype: 'Image', Width: 8, Height: 8, ColorSpace: 'DeviceGray', BitsPerComponent: 8
+        }));
+        page.node.Resources().set(PDFName.of('XObject'), context.obj({ Im1: image }));
+        const note = context.register(context.obj({ Type: 'Annot', Subtype: 'Text', Rect: [100, 640, 120, 660], Contents: 'note' }));
+        page.node.set(PDFName.of('Annots'), context.obj([note]));
+    });
+}
+
+// A page whose content can't be decoded, so nothing under a redaction can be checked
+function makeUnreadablePdf() {
+    return makePdf('', (pdfDoc, page) => {
+        page.node.set(PDFName.of('Contents'), pdfDoc.context.register(pdfDoc.context.stream('xx', { Filter: 'JBIG2Decode' })));
+    });
+}
+
+test('finds text, image pixels and annotations left under a redaction', async () => {
+    const verification = await verifyRedactedPdf(await makeLeakyPdf(), [box(95, 135, 100, 20), box(320, 220, 40, 40)]);
+    assert.equal(verification.verified, false);
+    assert.deepEqual(verification.results.map(result => result.leaks.map(leak => leak.type)), [['text', 'annotation'], ['image']]);
+    assert.equal(verification.results[0].leaks[0].text, 'Secret words');
+    assert.equal(verification.leakCount, 3);
+});
+
+test('reports redactions on pages that do not exist', async () => {
+    const verification = await verifyRedactedPdf(await makeLeakyPdf(), [box(0, 0, 10, 10, 3)]);
+    assert.deepEqual(verification.results[0].leaks.map(leak => leak.type), ['page']);
+});
+
+test('redacted documents verify clean, labels included', async () => {
+    const pdfContent = (await makeLeakyPdf()).toString('base64');
+    const response = await server.post('/api/submit-redactions', {
+        pdfContent,
+        redactions: [{ ...box(95, 135, 100, 20), exemptionCode: 'b(6)' }, box(320, 220, 40, 40)]
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.json.verified, true);
+    assert.equal(response.json.verification.leakCount, 0);
+});
+
+test('content that cannot be checked is reported, and failOnLeak withholds the document', async () => {
+    const contentBase64 = (await makeUnreadablePdf()).toString('base64');
+    const redaction = box(100, 90, 60, 20);
+
+    const reported = await server.post('/redact', { contentBase64, redactions: [redaction] });
+    assert.equal(reported.status, 200);
+    assert.equal(reported.json.verified, false);
+    assert.deepEqual(reported.json.verification.results[0].leaks.map(leak => leak.type), ['content']);
+
+    const failed = await server.post('/redact', { contentBase64, redactions: [redaction], redactionOptions: { failOnLeak: true } });
+    assert.equal(failed.status, 422);
+    assert.equal(failed.json.success, false);
+    assert.equal(failed.json.redactedPdfBase64, undefined);
+});
+
+test('downloads report the verification in headers', async () => {
+    const contentBase64 = (await makeLeakyPdf()).toString('base64');
+    const response = await server.post('/redact-and-download', { contentBase64, redactions: [box(95, 135, 100, 20)] });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Redaction-Verified'), 'true');
+    assert.equal(response.headers.get('X-Redaction-Leaks'), '0');
+});
+
+test('a label signature only covers the label it was drawn for', async () => {
+    const redacted = await server.post('/api/submit-redactions', {
+        pdfContent: (await makeLeakyPdf()).toString('base64'),
+        redactions: [{ ...box(95, 135, 100, 20), exemptionCode: 'b(6)' }]
+    });
+    const signature = (await pageContent(redacted.json.redactedPdfBase64)).match(/\/Sig \(([0-9a-f]+)\)/)[1];
+
+    const forged = await makePdf(`/Artifact <</Type /Layout /Subtype /Redaction /Sig (${signature})>> BDC BT /F1 12 Tf 100 650 Td (Secret words) Tj ET EMC`);
+    const verification = await verifyRedactedPdf(forged, [box(95, 135, 100, 20)]);
+    assert.equal(verification.verified, false);
+    assert.equal(verification.results[0].leaks[0].text, 'Secret words');
+});